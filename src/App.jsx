@@ -1,17 +1,25 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import LZString from "lz-string";
+import QRCode from "qrcode";
 
 /**
  * 7v7 Flag Football Coach – Mobile-first + Random-Balanced Positions (v7)
  * -----------------------------------------------------------------------
  * Highlights:
- * 1) Positions are random-balanced per game with no immediate repeats inside the same role family.
+ * 1) Positions are random-balanced per game with no immediate repeats inside the same role family
+ *    (greedy role-by-role, or an optimal matching over the whole series).
  * 2) Captains are selected with balanced counts across the remaining games.
- * 3) Attendance modal lets you toggle QB and Center eligibility for each player.
- * 4) Offense formation: QB, RB1, RB2, C, WR, TE1, TE2. (Defense unchanged.)
+ * 3) Attendance modal lets you toggle QB and Center eligibility and allowed/never roles for each player,
+ *    or bulk-load the roster from a CSV signup sheet.
+ * 4) Built-in 4v4–8v8 formations that follow the team size (7v7 offense: QB, RB1, RB2, C, WR, TE1, TE2),
+ *    plus custom ones built in the Formations editor.
  * 5) Dark, phone-friendly UI with a sticky bottom bar.
+ * 6) Several teams per install, each saved under its own localStorage key.
+ * 7) Share links carry a read-only snapshot in the URL fragment (and as a QR code); opening one never writes storage.
  */
 
-const DEFAULT_ROSTER = [
+// Optional starting roster, loaded from the Attendance modal.
+const SAMPLE_ROSTER_TEMPLATE = [
   "Atticus",
   "Barrett",
   "CJ",
@@ -25,14 +33,15 @@ const DEFAULT_ROSTER = [
 ];
 
 // Updated offense formation
+// family groups slots for the no-repeat rule; ability names the player flag the slot needs.
 const OFFENSE_POSITIONS = [
-  { key: "off_te_left", label: "TE" },
-  { key: "off_c", label: "C" },
-  { key: "off_te_right", label: "TE" },
-  { key: "off_wr", label: "WR" },
-  { key: "off_rb_left", label: "RB" },
-  { key: "off_qb", label: "QB" },
-  { key: "off_rb_right", label: "RB" },
+  { key: "off_te_left", label: "TE", family: "TE" },
+  { key: "off_c", label: "C", family: "C", ability: "canCenter" },
+  { key: "off_te_right", label: "TE", family: "TE" },
+  { key: "off_wr", label: "WR", family: "WR" },
+  { key: "off_rb_left", label: "RB", family: "RB" },
+  { key: "off_qb", label: "QB", family: "QB", ability: "canQB" },
+  { key: "off_rb_right", label: "RB", family: "RB" },
 ];
 
 const OFFENSE_LAYOUT = [
@@ -41,13 +50,13 @@ const OFFENSE_LAYOUT = [
 ];
 
 const DEFENSE_POSITIONS = [
-  { key: "def_cb_left", label: "CB" },
-  { key: "def_de_left", label: "DE" },
-  { key: "def_dt", label: "DT" },
-  { key: "def_de_right", label: "DE" },
-  { key: "def_cb_right", label: "CB" },
-  { key: "def_spy", label: "Spy" },
-  { key: "def_blitzer", label: "Blitzer" },
+  { key: "def_cb_left", label: "CB", family: "CB" },
+  { key: "def_de_left", label: "DE", family: "DE" },
+  { key: "def_dt", label: "DT", family: "DT" },
+  { key: "def_de_right", label: "DE", family: "DE" },
+  { key: "def_cb_right", label: "CB", family: "CB" },
+  { key: "def_spy", label: "Spy", family: "Spy" },
+  { key: "def_blitzer", label: "Blitzer", family: "Blitzer" },
 ];
 
 const DEFENSE_LAYOUT = [
@@ -58,13 +67,87 @@ const DEFENSE_LAYOUT = [
 
 const OFFENSE_ROLES = OFFENSE_POSITIONS.map((pos) => pos.key);
 const DEFENSE_ROLES = DEFENSE_POSITIONS.map((pos) => pos.key);
-const OFFENSE_ROLE_SET = new Set(OFFENSE_ROLES);
-const DEFENSE_ROLE_SET = new Set(DEFENSE_ROLES);
+
+// Only the 8v8 presets need these.
+const EXTRA_POSITIONS = [
+  { key: "off_slot", label: "Slot", family: "WR" },
+  { key: "def_lb", label: "LB", family: "LB" },
+];
 
 const ROLE_META = Object.fromEntries(
-  [...OFFENSE_POSITIONS, ...DEFENSE_POSITIONS].map((pos) => [pos.key, pos]),
+  [...OFFENSE_POSITIONS, ...DEFENSE_POSITIONS, ...EXTRA_POSITIONS].map((pos) => [pos.key, pos]),
 );
 
+// Smaller and larger presets reuse the 7v7 keys so tallies carry over when the team size changes.
+const FORMATION_PRESETS = {
+  offense: {
+    4: [
+      [null, "off_c", null],
+      ["off_wr", "off_qb", "off_rb_left"],
+    ],
+    5: [
+      ["off_te_left", "off_c", "off_te_right", "off_wr"],
+      [null, "off_qb", null, null],
+    ],
+    6: [
+      ["off_te_left", "off_c", "off_te_right", "off_wr"],
+      ["off_rb_left", "off_qb", null, null],
+    ],
+    7: OFFENSE_LAYOUT,
+    8: [
+      ["off_te_left", "off_c", "off_te_right", "off_wr"],
+      ["off_rb_left", "off_qb", "off_rb_right", "off_slot"],
+    ],
+  },
+  defense: {
+    4: [
+      ["def_cb_left", "def_blitzer", "def_cb_right"],
+      [null, "def_spy", null],
+    ],
+    5: [
+      ["def_cb_left", "def_dt", "def_cb_right"],
+      [null, "def_spy", null],
+      [null, "def_blitzer", null],
+    ],
+    6: [
+      ["def_cb_left", "def_de_left", "def_de_right", "def_cb_right"],
+      [null, "def_spy", "def_blitzer", null],
+    ],
+    7: DEFENSE_LAYOUT,
+    8: [
+      ["def_cb_left", "def_de_left", "def_dt", "def_de_right", "def_cb_right"],
+      [null, "def_lb", "def_spy", null, null],
+      [null, null, "def_blitzer", null, null],
+    ],
+  },
+};
+const TEAM_SIZE_PRESETS = Object.keys(FORMATION_PRESETS.offense).map(Number);
+const MIN_TEAM_SIZE = Math.min(...TEAM_SIZE_PRESETS);
+const MAX_TEAM_SIZE = Math.max(...TEAM_SIZE_PRESETS);
+
+function defaultFormationId(side, teamSize) {
+  const size = Math.min(MAX_TEAM_SIZE, Math.max(MIN_TEAM_SIZE, teamSize || 7));
+  return `builtin-${side}-${size}`;
+}
+
+const BUILTIN_FORMATIONS = Object.entries(FORMATION_PRESETS).flatMap(([side, presets]) => (
+  Object.entries(presets).map(([size, layout]) => ({
+    id: defaultFormationId(side, Number(size)),
+    side,
+    name: `${size}v${size}`,
+    builtIn: true,
+    positions: layout.flat().filter(Boolean).map((key) => ROLE_META[key]),
+    layout,
+  }))
+));
+const SIDE_KEY_PREFIX = { offense: "off_", defense: "def_" };
+const POSITION_ABILITY_OPTIONS = [
+  { value: "", label: "Anyone" },
+  { value: "canQB", label: "QB flag" },
+  { value: "canCenter", label: "Center flag" },
+];
+const FORMATION_MAX_COLUMNS = 7;
+
 const LEGACY_ROLE_MAP = {
   QB: "off_qb",
   RB1: "off_rb_left",
@@ -82,21 +165,23 @@ const LEGACY_ROLE_MAP = {
   Blitzer: "def_blitzer",
 };
 
-const ROLE_ABILITY_CHECK = {
-  off_qb: (player) => player.canQB !== false,
-  off_c: (player) => player.canCenter !== false,
-};
+const ABILITY_FLAG_LABELS = { canQB: "QB", canCenter: "Center", captainEligible: "captain" };
 
-const PLAYER_ROLE_RESTRICTIONS = {
+// Only used to migrate older saves; restrictions now live on each player record.
+const LEGACY_PLAYER_ROLE_RESTRICTIONS = {
   Atticus: {
     offense: ["off_te_left", "off_te_right"],
     defense: ["def_de_left", "def_de_right", "def_dt"],
   },
 };
 
-function roleGroup(role) {
+const EMPTY_ROLE_RESTRICTIONS = { offense: [], defense: [], never: [] };
+
+// catalog: role key -> position meta; defaults to the built-in formations.
+function roleGroup(role, catalog = ROLE_META) {
   if (!role) return role;
-  return ROLE_META[role]?.label || role.replace(/\d+$/, "");
+  const meta = catalog[role];
+  return meta?.family || meta?.label || role.replace(/\d+$/, "");
 }
 
 function migrateRoleKey(role) {
@@ -104,26 +189,331 @@ function migrateRoleKey(role) {
   return LEGACY_ROLE_MAP[role] || role;
 }
 
+// "TE (L)" style names so mirrored slots can be told apart in editors.
+function roleDisplayName(role, catalog = ROLE_META) {
+  const label = catalog[role]?.label || role;
+  if (role.endsWith("_left")) return `${label} (L)`;
+  if (role.endsWith("_right")) return `${label} (R)`;
+  return label;
+}
+
+function roleScope(role) {
+  if (role?.startsWith(SIDE_KEY_PREFIX.offense)) return "offense";
+  if (role?.startsWith(SIDE_KEY_PREFIX.defense)) return "defense";
+  return null;
+}
+
+function normalizeRoleRestrictions(restrictions) {
+  const clean = (list) => [...new Set((Array.isArray(list) ? list : []).map(migrateRoleKey).filter(Boolean))];
+  return {
+    offense: clean(restrictions?.offense),
+    defense: clean(restrictions?.defense),
+    never: clean(restrictions?.never),
+  };
+}
+
+// Restrictions only: an empty allowed list means every role on that side is fine.
+function restrictionsAllowRole(player, role) {
+  const restrictions = player?.roleRestrictions || EMPTY_ROLE_RESTRICTIONS;
+  if (restrictions.never.includes(role)) return false;
+  const scope = roleScope(role);
+  const allowed = scope ? restrictions[scope] : null;
+  if (allowed && allowed.length && !allowed.includes(role)) return false;
+  return true;
+}
+
+function hasRoleRestrictions(player) {
+  const restrictions = player?.roleRestrictions || EMPTY_ROLE_RESTRICTIONS;
+  return !!(restrictions.offense.length || restrictions.defense.length || restrictions.never.length);
+}
+
+function playerCanPlayRole(player, role, catalog = ROLE_META) {
+  if (!player) return false;
+  const ability = catalog[role]?.ability;
+  if (ability && player[ability] === false) return false;
+  return restrictionsAllowRole(player, role);
+}
+
+// ---------- Formations ----------
+function sideOfPhase(phase) {
+  return phase === "Offense" ? "offense" : "defense";
+}
+
+function formationRoles(formation) {
+  return formation.positions.map((pos) => pos.key);
+}
+
+function buildRoleCatalog(formations) {
+  return Object.fromEntries(formations.flatMap((formation) => formation.positions.map((pos) => [pos.key, pos])));
+}
+
+function formationsForSide(state, side) {
+  return [
+    ...BUILTIN_FORMATIONS.filter((formation) => formation.side === side),
+    ...(state.customFormations || []).filter((formation) => formation.side === side),
+  ];
+}
+
+// The coach's pick while it fits the team size; otherwise the built-in preset for that size.
+function activeFormationFor(state, side) {
+  const teamSize = state.settings?.teamSize;
+  const formations = formationsForSide(state, side);
+  const chosen = formations.find((formation) => formation.id === state.activeFormationIds?.[side]);
+  if (chosen && chosen.positions.length === teamSize) return chosen;
+  return formations.find((formation) => formation.id === defaultFormationId(side, teamSize));
+}
+
+function formationsForTeamSize(state, side) {
+  return formationsForSide(state, side).filter((formation) => formation.positions.length === state.settings?.teamSize);
+}
+
+// Every known role, with the chosen formations' meta winning over others that reuse a key.
+function roleCatalogFor(state) {
+  return {
+    ...ROLE_META,
+    ...buildRoleCatalog(state.customFormations || []),
+    ...buildRoleCatalog([activeFormationFor(state, "offense"), activeFormationFor(state, "defense")]),
+  };
+}
+
+// Copied onto history entries and plan slots so they keep the formation they were drawn with.
+function formationSnapshot(formation) {
+  const { id, name, side, positions, layout } = formation;
+  return { id, name, side, positions, layout };
+}
+
+// Series recorded before formations were saved on entries were all 7v7.
+function entryFormation(entry) {
+  if (entry?.formation) return entry.formation;
+  const side = sideOfPhase(entry?.phase);
+  return BUILTIN_FORMATIONS.find((formation) => formation.id === defaultFormationId(side, 7));
+}
+
+function slugify(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || "pos";
+}
+
+function uniquePositionKey(side, base, usedKeys) {
+  const stem = `${SIDE_KEY_PREFIX[side]}${slugify(base)}`;
+  let key = stem;
+  for (let n = 2; usedKeys.has(key); n++) key = `${stem}_${n}`;
+  return key;
+}
+
+/**
+ * Cleans an edited formation: keys get the side prefix and stay unique, blank labels
+ * fall back to the family, and any position missing from the grid gets a new row.
+ * Returns { formation, errors }.
+ */
+function sanitizeFormation(draft) {
+  const errors = [];
+  const prefix = SIDE_KEY_PREFIX[draft.side];
+  // Existing keys are kept (first one wins); positions added in the editor get a key from their family.
+  const keptKeys = new Map();
+  draft.positions.forEach((pos, index) => {
+    if (!pos.isNew && pos.key?.startsWith(prefix) && !keptKeys.has(pos.key)) keptKeys.set(pos.key, index);
+  });
+  const usedKeys = new Set(keptKeys.keys());
+  const renamed = {};
+  const positions = draft.positions.map((pos, index) => {
+    const family = (pos.family || pos.label || "").trim();
+    const label = (pos.label || family).trim();
+    if (!label) errors.push("Every position needs a label or family.");
+    let key = pos.key;
+    if (keptKeys.get(pos.key) !== index) {
+      key = uniquePositionKey(draft.side, family || label, usedKeys);
+      usedKeys.add(key);
+    }
+    if (pos.key) renamed[pos.key] = key;
+    return { key, label, family: family || label, ...(pos.ability ? { ability: pos.ability } : {}) };
+  });
+  if (!positions.length) errors.push("Add at least one position.");
+  if (!(draft.name || "").trim()) errors.push("Give the formation a name.");
+
+  const placed = new Set();
+  const layout = draft.layout.map((row) => row.map((cell) => {
+    const key = cell ? renamed[cell] || cell : null;
+    if (!key || !usedKeys.has(key) || placed.has(key)) return null;
+    placed.add(key);
+    return key;
+  }));
+  const unplaced = positions.map((pos) => pos.key).filter((key) => !placed.has(key));
+  const columns = Math.max(1, ...layout.map((row) => row.length));
+  for (let i = 0; i < unplaced.length; i += columns) {
+    const row = unplaced.slice(i, i + columns);
+    while (row.length < columns) row.push(null);
+    layout.push(row);
+  }
+  const trimmed = layout.filter((row) => row.some(Boolean));
+
+  return {
+    formation: { ...draft, name: (draft.name || "").trim(), builtIn: false, positions, layout: trimmed },
+    errors: [...new Set(errors)],
+  };
+}
+
 const LS_KEY = "ffb-rotation-state-v7";
-const BENCH_PRIORITY_FIRST_OFFENSE = ["Logan L", "Atticus", "Gunnar"];
-const MUST_PLAY_FIRST_DEFENSE = BENCH_PRIORITY_FIRST_OFFENSE;
-const BENCH_NEVER_ALL = ["CJ", "Niko", "Barrett"];
+const TEAMS_KEY = "ffb-teams-v1";
 const DEFAULT_BENCH_META = { firstOffenseHandled: false, firstDefenseHandled: false };
 
+// Rules are applied by nextSeries in this order (and in list order within a type).
+const BENCH_RULE_TYPES = [
+  { type: "sitFirstOffense", label: "Sit first on opening offense" },
+  { type: "playFirstDefense", label: "Must play opening defense" },
+  { type: "neverBenchAll", label: "Never bench this group all at once" },
+];
+const BENCH_RULE_LABELS = Object.fromEntries(BENCH_RULE_TYPES.map((rule) => [rule.type, rule.label]));
+
+// Name-based lists from older versions, converted to id-based rules on load.
+const LEGACY_BENCH_RULES = [
+  { type: "sitFirstOffense", names: ["Logan L", "Atticus", "Gunnar"] },
+  { type: "playFirstDefense", names: ["Logan L", "Atticus", "Gunnar"] },
+  { type: "neverBenchAll", names: ["CJ", "Niko", "Barrett"] },
+];
+
 // ---------- Helpers ----------
 function createEmptyTallies(name) {
   const pos = {};
   [...OFFENSE_ROLES, ...DEFENSE_ROLES].forEach((r) => (pos[r] = 0));
   return {
     name,
+    number: null, // jersey number as typed, e.g. "07"; unique on the roster
+    nickname: "", // shown instead of the name on the board when set
+    parentNote: "",
+    preferredRoles: [], // familyKey()s the player would like to play
+    goals: [], // development goals per game: { id, key: familyKey(), target: snaps }
+    avatar: null, // data URL from readAvatarFile; initials otherwise
     active: true,
     sits: 0,
     pos,
     id: crypto.randomUUID(),
     canQB: true,
     canCenter: true,
+    roleRestrictions: normalizeRoleRestrictions(EMPTY_ROLE_RESTRICTIONS),
+    season: createEmptySeasonTotals(),
+    captainEligible: true,
+    captainCount: 0, // games as captain this season
+    ratings: normalizeRatings(null),
+    out: null, // temporary sit-out, see createOutStatus
+    arrivedAt: null, // first series played after checking in mid-game
+    lateCredit: {}, // per-role head start for late arrivals, see lateArrivalCredit
+  };
+}
+
+// Totals from completed games; the current game is folded in by startNewGame.
+function createEmptySeasonTotals() {
+  const pos = {};
+  [...OFFENSE_ROLES, ...DEFENSE_ROLES].forEach((r) => (pos[r] = 0));
+  return { games: 0, series: 0, sits: 0, pos, stats: {} };
+}
+
+function normalizeSeasonTotals(season) {
+  const base = createEmptySeasonTotals();
+  if (!season) return base;
+  const pos = { ...base.pos };
+  Object.entries(season.pos || {}).forEach(([role, value]) => {
+    const key = migrateRoleKey(role);
+    pos[key] = (pos[key] || 0) + (typeof value === "number" ? value : 0);
+  });
+  return {
+    games: typeof season.games === "number" ? season.games : 0,
+    series: typeof season.series === "number" ? season.series : 0,
+    sits: typeof season.sits === "number" ? season.sits : 0,
+    pos,
+    stats: normalizeStatsByRole(season.stats),
+  };
+}
+
+function addSeasonTotals(a, b) {
+  const left = normalizeSeasonTotals(a);
+  const right = normalizeSeasonTotals(b);
+  const pos = { ...left.pos };
+  Object.entries(right.pos).forEach(([role, value]) => {
+    pos[role] = (pos[role] || 0) + value;
+  });
+  const stats = { ...left.stats };
+  Object.entries(right.stats).forEach(([family, counts]) => {
+    stats[family] = addStatCounts(stats[family], counts);
+  });
+  return {
+    games: left.games + right.games,
+    series: left.series + right.series,
+    sits: left.sits + right.sits,
+    pos,
+    stats,
+  };
+}
+
+function gameSeriesCount(player) {
+  return player.sits + Object.values(player.pos).reduce((sum, value) => sum + value, 0);
+}
+
+// gameStats: this game's stats from gameStatsByRole, keyed by player id.
+function foldGameIntoSeason(player, gameStats = {}) {
+  const season = normalizeSeasonTotals(player.season);
+  const seriesCount = gameSeriesCount(player);
+  const pos = { ...season.pos };
+  Object.entries(player.pos).forEach(([role, value]) => {
+    pos[role] = (pos[role] || 0) + value;
+  });
+  const stats = { ...season.stats };
+  Object.entries(gameStats[player.id] || {}).forEach(([family, counts]) => {
+    stats[family] = addStatCounts(stats[family], counts);
+  });
+  return {
+    games: season.games + (seriesCount > 0 ? 1 : 0),
+    series: season.series + seriesCount,
+    sits: season.sits + player.sits,
+    pos,
+    stats,
   };
 }
+
+// ---------- Stats ----------
+const STAT_TYPES = [
+  { key: "catch", label: "Catch", sides: ["offense"] },
+  { key: "td", label: "TD", sides: ["offense", "defense"] },
+  { key: "flagPull", label: "Flag pull", sides: ["defense"] },
+  { key: "int", label: "INT", sides: ["defense"] },
+  { key: "sack", label: "Sack", sides: ["defense"] },
+];
+const STAT_KEYS = STAT_TYPES.map((stat) => stat.key);
+const NO_ROLE_FAMILY = "No role"; // stats kept for a player later moved off the field
+
+function addStatCounts(a = {}, b = {}) {
+  const sum = { ...a };
+  Object.entries(b).forEach(([key, value]) => {
+    if (STAT_KEYS.includes(key) && typeof value === "number") sum[key] = (sum[key] || 0) + value;
+  });
+  return sum;
+}
+
+function normalizeStatsByRole(stats) {
+  if (!stats || typeof stats !== "object") return {};
+  return Object.fromEntries(Object.entries(stats).map(([family, counts]) => [family, addStatCounts({}, counts)]));
+}
+
+function totalStats(byRole) {
+  return Object.values(byRole || {}).reduce((sum, counts) => addStatCounts(sum, counts), {});
+}
+
+// entry.stats holds { playerId: { catch: 1 } }; the family comes from the role played that series.
+function gameStatsByRole(history) {
+  const result = {};
+  history.forEach((entry) => {
+    if (!entry?.stats) return;
+    const side = sideOfPhase(entry.phase);
+    const catalog = buildRoleCatalog([entryFormation(entry)]);
+    const mapping = entry[side] || {};
+    Object.entries(entry.stats).forEach(([pid, counts]) => {
+      const role = Object.entries(mapping).find(([, id]) => id === pid)?.[0];
+      const family = familyKey(side, role ? roleGroup(role, catalog) : NO_ROLE_FAMILY);
+      result[pid] = { ...(result[pid] || {}), [family]: addStatCounts(result[pid]?.[family], counts) };
+    });
+  });
+  return result;
+}
+
 function rngShuffle(arr) {
   const a = [...arr];
   for (let i = a.length - 1; i > 0; i--) {
@@ -133,150 +523,2910 @@ function rngShuffle(arr) {
   return a;
 }
 
-function buildQueueFromActive(roster, previousQueue = []) {
-  const activeIds = roster.filter((p) => p.active).map((p) => p.id);
+// New queue entries are random; with seasonTiebreak, fewest season sits go first (sit sooner).
+// This only orders players joining the queue (game start, check-ins); the rotation after that is a plain rotate.
+function orderNewQueueEntries(ids, roster, { seasonTiebreak = false } = {}) {
+  const shuffled = rngShuffle(ids);
+  if (!seasonTiebreak) return shuffled;
+  const seasonSits = (id) => roster.find((p) => p.id === id)?.season?.sits || 0;
+  return shuffled.sort((a, b) => seasonSits(a) - seasonSits(b));
+}
+
+// Present and not sitting out hurt: the players the bench rotation draws from.
+function isAvailable(player) {
+  return !!player?.active && !player.out;
+}
+
+// Temporary sit-outs (injuries): off the field and out of the rotation, without being charged sits.
+// `remaining` counts down once per series; null lasts until the coach clears it.
+function createOutStatus(count, series) {
+  return { remaining: count > 0 ? count : null, since: series };
+}
+
+function normalizeOutStatus(out) {
+  if (!out || typeof out !== "object") return null;
+  return {
+    remaining: Number.isInteger(out.remaining) && out.remaining > 0 ? out.remaining : null,
+    since: typeof out.since === "number" ? out.since : 0,
+  };
+}
+
+function tickOutStatus(out) {
+  if (!out || out.remaining === null) return out;
+  return out.remaining > 1 ? { ...out, remaining: out.remaining - 1 } : null;
+}
+
+function describeOut(out) {
+  return out.remaining === null ? "out until cleared" : `out ${out.remaining} more series`;
+}
+
+// A player checked in mid-game is credited the team's average count at each role so far (less any
+// snaps of their own), so role balancing treats them as if they'd been here all along rather than
+// owing them every role nobody else has had yet.
+function lateArrivalCredit(roster, playerId) {
+  const player = roster.find((p) => p.id === playerId);
+  const others = roster.filter((p) => p.id !== playerId && isAvailable(p));
+  if (!player || !others.length) return {};
+  const roles = [...new Set(others.flatMap((p) => Object.keys(p.pos)))];
+  return Object.fromEntries(roles
+    .map((role) => {
+      const average = others.reduce((sum, p) => sum + (p.pos[role] || 0), 0) / others.length;
+      return [role, Math.round(Math.max(0, average - (player.pos[role] || 0)) * 100) / 100];
+    })
+    .filter(([, credit]) => credit > 0));
+}
+
+// Players joining the roster mid-game (Add Player, imports) are late arrivals, credited
+// against the players already here rather than each other.
+function markLateArrivals(roster, newPlayers, series) {
+  if (!(series > 0)) return newPlayers;
+  return newPlayers.map((p) => (p.active ? { ...p, arrivedAt: series + 1, lateCredit: lateArrivalCredit([...roster, p], p.id) } : p));
+}
+
+// The per-game count role balancing compares: snaps played plus any late-arrival credit.
+function balanceCount(player, role) {
+  return (player.pos[role] || 0) + (player.lateCredit?.[role] || 0);
+}
+
+// ---------- Development goals ----------
+const GOAL_TARGET_MAX = 9;
+
+// "offense:WR" -> "WR (O)"
+function familyKeyLabel(key) {
+  const [side, family] = key.split(":");
+  return `${family} (${side === "defense" ? "D" : "O"})`;
+}
+
+// Snaps this game at every slot of a familyKey() family, e.g. WR left and WR right together.
+function familySnaps(player, key, catalog = ROLE_META) {
+  return Object.entries(player.pos).reduce(
+    (sum, [role, count]) => (roleScope(role) && familyKey(roleScope(role), roleGroup(role, catalog)) === key ? sum + count : sum),
+    0,
+  );
+}
+
+function goalProgress(player, catalog = ROLE_META) {
+  return (player.goals || []).map((goal) => {
+    const snaps = familySnaps(player, goal.key, catalog);
+    return { ...goal, snaps, met: snaps >= goal.target };
+  });
+}
+
+// Soft wishes for a slot, consulted only where role balancing leaves players tied:
+// 2 while a development goal at the slot's family is unmet, plus 1 for a preferred family.
+function developmentScore(player, role, catalog = ROLE_META) {
+  const side = roleScope(role);
+  if (!player || !side) return 0;
+  const key = familyKey(side, roleGroup(role, catalog));
+  const goalOpen = (player.goals || []).some((goal) => goal.key === key && familySnaps(player, key, catalog) < goal.target);
+  return (goalOpen ? 2 : 0) + ((player.preferredRoles || []).includes(key) ? 1 : 0);
+}
+
+// One row per goal on the roster, for the goals report and the season archive.
+function goalResults(roster, catalog = ROLE_META) {
+  return roster.flatMap((p) => goalProgress(p, catalog).map((goal) => ({
+    id: goal.id,
+    playerId: p.id,
+    name: playerLabel(p),
+    key: goal.key,
+    target: goal.target,
+    snaps: goal.snaps,
+    met: goal.met,
+  })));
+}
+
+function normalizeGoals(goals) {
+  if (!Array.isArray(goals)) return [];
+  return goals
+    .filter((goal) => typeof goal?.key === "string" && goal.key.includes(":"))
+    .map((goal) => ({
+      id: goal.id || crypto.randomUUID(),
+      key: goal.key,
+      target: Math.min(GOAL_TARGET_MAX, Math.max(1, Math.round(Number(goal.target)) || 1)),
+    }));
+}
+
+// Players joining the queue (arrivals, returns from a sit-out) go to the back, like someone who just sat.
+function buildQueueFromActive(roster, previousQueue = [], options = {}) {
+  const activeIds = roster.filter(isAvailable).map((p) => p.id);
   if (!activeIds.length) return [];
   const preserved = previousQueue.filter((id) => activeIds.includes(id));
   if (preserved.length === activeIds.length && preserved.length) {
     return preserved;
   }
   const missing = activeIds.filter((id) => !preserved.includes(id));
-  const shuffledMissing = rngShuffle(missing);
-  return preserved.length ? [...preserved, ...shuffledMissing] : shuffledMissing;
+  const orderedMissing = orderNewQueueEntries(missing, roster, options);
+  return preserved.length ? [...preserved, ...orderedMissing] : orderedMissing;
 }
 
-function findActivePlayerIdByName(roster, name) {
-  const target = roster.find((p) => p.active && p.name.toLowerCase() === name.toLowerCase());
+function findPlayerIdByName(roster, name) {
+  const target = roster.find((p) => p.name.toLowerCase() === name.toLowerCase());
   return target ? target.id : null;
 }
 
-// Build a fresh roster: positions zeroed
-function buildInitialRoster() {
-  const roster = DEFAULT_ROSTER.map((n) => createEmptyTallies(n)).sort((a, b) => a.name.localeCompare(b.name));
-  return roster;
+function createBenchRule(type, playerIds = []) {
+  return { id: crypto.randomUUID(), type, playerIds };
 }
 
-function normalizePlayer(player) {
-  if (!player) return player;
-  const normalized = { ...player };
+function buildLegacyBenchRules(roster) {
+  return LEGACY_BENCH_RULES
+    .map(({ type, names }) => createBenchRule(
+      type,
+      names.map((name) => findPlayerIdByName(roster, name)).filter(Boolean),
+    ))
+    .filter((rule) => rule.playerIds.length);
+}
 
-  const pos = { ...(normalized.pos || {}) };
-  Object.entries(LEGACY_ROLE_MAP).forEach(([legacy, current]) => {
-    if (Object.prototype.hasOwnProperty.call(pos, legacy)) {
-      const value = typeof pos[legacy] === "number" ? pos[legacy] : 0;
-      pos[current] = (typeof pos[current] === "number" ? pos[current] : 0) + value;
-      delete pos[legacy];
+function normalizeBenchRules(rules, roster) {
+  if (!Array.isArray(rules)) return buildLegacyBenchRules(roster);
+  const rosterIds = new Set(roster.map((p) => p.id));
+  return rules
+    .filter((rule) => rule && BENCH_RULE_LABELS[rule.type])
+    .map((rule) => ({
+      id: rule.id || crypto.randomUUID(),
+      type: rule.type,
+      playerIds: [...new Set(rule.playerIds || [])].filter((id) => rosterIds.has(id)),
+    }));
+}
+
+function formatNames(ids, byId) {
+  return ids.map((id) => byId.get(id)?.name || "Unknown").join(", ");
+}
+
+// Attendance problems that stop a rule from applying, independent of queue order.
+function benchRuleAttendanceWarnings(rules, byId) {
+  const warnings = [];
+  rules.forEach((rule) => {
+    const label = BENCH_RULE_LABELS[rule.type];
+    if (!rule.playerIds.length) {
+      warnings.push(`${label}: no players selected.`);
+      return;
+    }
+    const absent = rule.playerIds.filter((id) => !isAvailable(byId.get(id)));
+    if (!absent.length) return;
+    if (rule.type === "neverBenchAll") {
+      warnings.push(`${label}: skipped because ${formatNames(absent, byId)} ${absent.length === 1 ? "is" : "are"} not here.`);
+    } else {
+      warnings.push(`${label}: ${formatNames(absent, byId)} ${absent.length === 1 ? "is" : "are"} not here.`);
     }
   });
-  [...OFFENSE_ROLES, ...DEFENSE_ROLES].forEach((role) => {
-    pos[role] = typeof pos[role] === "number" ? pos[role] : 0;
-  });
-  normalized.pos = pos;
+  return warnings;
+}
 
-  const hadAbilityFlags = Object.prototype.hasOwnProperty.call(player, "canQB") ||
-    Object.prototype.hasOwnProperty.call(player, "canCenter");
+/**
+ * Reorders the bench queue according to the coach's bench rules.
+ * The first `sitCount` ids of the returned queue sit; the next `teamSize` play.
+ * Returns warnings for every rule that could not be met.
+ */
+function applyBenchRules({ which, queue, sitCount, teamSize, rules, benchMeta, byId }) {
+  let workingQueue = [...queue];
+  let nextBenchMeta = benchMeta;
+  const rulesOfType = (type) => rules.filter((rule) => rule.type === type);
+  const warnings = benchRuleAttendanceWarnings(
+    rules.filter((rule) => (rule.type === "neverBenchAll" && sitCount > 0)
+      || (rule.type === "sitFirstOffense" && which === "Offense" && !benchMeta.firstOffenseHandled)
+      || (rule.type === "playFirstDefense" && which === "Defense" && !benchMeta.firstDefenseHandled)),
+    byId,
+  );
+  const presentIds = (ids) => [...new Set(ids)].filter((id) => workingQueue.includes(id));
 
-  normalized.canQB = player.canQB !== undefined ? player.canQB : true;
-  normalized.canCenter = player.canCenter !== undefined ? player.canCenter : true;
+  if (which === "Offense" && !benchMeta.firstOffenseHandled) {
+    const priorityIds = presentIds(rulesOfType("sitFirstOffense").flatMap((rule) => rule.playerIds));
+    if (priorityIds.length) {
+      if (sitCount > 0) {
+        const seats = Math.min(sitCount, priorityIds.length);
+        const idsToFront = priorityIds.slice(0, seats);
+        const rest = workingQueue.filter((id) => !idsToFront.includes(id));
+        workingQueue = [...idsToFront, ...rest];
+        if (seats < priorityIds.length) {
+          warnings.push(`${BENCH_RULE_LABELS.sitFirstOffense}: only ${sitCount} bench ${sitCount === 1 ? "seat" : "seats"}, so ${formatNames(priorityIds.slice(seats), byId)} will play.`);
+        }
+      } else {
+        warnings.push(`${BENCH_RULE_LABELS.sitFirstOffense}: nobody sits with today's attendance.`);
+      }
+    }
+    nextBenchMeta = { ...nextBenchMeta, firstOffenseHandled: true };
+  }
 
-  normalized.sits = typeof player.sits === "number" ? player.sits : 0;
-  normalized.active = player.active !== undefined ? player.active : true;
+  if (which === "Defense" && !benchMeta.firstDefenseHandled) {
+    const requiredIds = presentIds(rulesOfType("playFirstDefense").flatMap((rule) => rule.playerIds));
+    if (requiredIds.length) {
+      const requiredOrdered = [...requiredIds].sort(
+        (a, b) => workingQueue.indexOf(a) - workingQueue.indexOf(b),
+      );
+      const requiredSet = new Set(requiredOrdered);
+      const filteredQueue = workingQueue.filter((id) => !requiredSet.has(id));
+      const benchSlice = filteredQueue.slice(0, sitCount);
+      const playSlice = filteredQueue.slice(sitCount);
+      workingQueue = [...benchSlice, ...requiredOrdered, ...playSlice];
+      if (benchSlice.length < sitCount) {
+        const benched = workingQueue.slice(0, sitCount).filter((id) => requiredSet.has(id));
+        warnings.push(`${BENCH_RULE_LABELS.playFirstDefense}: not enough other players to sit, so ${formatNames(benched, byId)} will sit.`);
+      } else if (requiredOrdered.length > teamSize) {
+        warnings.push(`${BENCH_RULE_LABELS.playFirstDefense}: more players than field spots (${teamSize}).`);
+      }
+    }
+    nextBenchMeta = { ...nextBenchMeta, firstDefenseHandled: true };
+  }
 
-  return normalized;
+  if (sitCount > 0) {
+    rulesOfType("neverBenchAll").forEach((rule) => {
+      const groupIds = [...new Set(rule.playerIds)];
+      if (!groupIds.length) return;
+      const avoidIds = presentIds(groupIds);
+      if (avoidIds.length !== groupIds.length) return; // reported as an attendance warning
+      const sitIds = workingQueue.slice(0, sitCount);
+      if (!avoidIds.every((id) => sitIds.includes(id))) return;
+      const avoidSet = new Set(avoidIds);
+      const playIds = workingQueue.slice(sitCount, sitCount + teamSize);
+      const swapCandidate = playIds.find((id) => !avoidSet.has(id));
+      if (!swapCandidate) {
+        warnings.push(`${BENCH_RULE_LABELS.neverBenchAll}: no one available to swap with ${formatNames(avoidIds, byId)}.`);
+        return;
+      }
+      const benchIndex = workingQueue.indexOf(avoidIds[0]);
+      const playIndex = workingQueue.indexOf(swapCandidate);
+      const updatedQueue = [...workingQueue];
+      [updatedQueue[benchIndex], updatedQueue[playIndex]] = [updatedQueue[playIndex], updatedQueue[benchIndex]];
+      workingQueue = updatedQueue;
+    });
+  }
+
+  return { workingQueue, benchMeta: nextBenchMeta, warnings };
 }
 
-function normalizeRecentMap(map) {
-  if (!map) return {};
-  const result = {};
-  Object.entries(map).forEach(([pid, rec]) => {
-    if (!rec) return;
-    result[pid] = {
-      role: roleGroup(rec.role),
-      series: rec.series || 0,
-    };
-  });
-  return result;
+// ---------- Skill ratings ----------
+const RATING_VALUES = [1, 2, 3, 4, 5];
+const DEFAULT_RATING = 3; // unrated players count as average
+
+// ratings: { offense, defense, families: { "offense:QB": 4 } }; null means unrated.
+function normalizeRatings(ratings) {
+  const clean = (value) => (RATING_VALUES.includes(value) ? value : null);
+  return {
+    offense: clean(ratings?.offense),
+    defense: clean(ratings?.defense),
+    families: Object.fromEntries(Object.entries(ratings?.families || {}).filter(([, value]) => clean(value))),
+  };
+}
+
+// "offense:RB" style keys, so families with the same name on both sides stay apart.
+function familyKey(side, family) {
+  return `${side}:${family}`;
+}
+
+function sideRating(player, side) {
+  return player?.ratings?.[side] ?? DEFAULT_RATING;
+}
+
+// A family rating overrides the side rating for slots of that family.
+function roleRating(player, role, catalog = ROLE_META) {
+  const side = roleScope(role);
+  return player?.ratings?.families?.[familyKey(side, roleGroup(role, catalog))] ?? sideRating(player, side);
+}
+
+function hasRatings(player) {
+  const ratings = player?.ratings;
+  return !!(ratings && (ratings.offense || ratings.defense || Object.keys(ratings.families || {}).length));
+}
+
+// A player's expected rating on a side: their rating at each of the formation's slots, averaged.
+// The bench is picked before roles are drawn, so balancing, its warning and the Tally Board all
+// measure lineups this way; a family rating counts for that family's share of the slots.
+// `measure` is { side, roles, catalog } for the formation in play.
+function playerStrength(player, { side, roles, catalog }) {
+  const slots = roles.filter((role) => roleScope(role) === side);
+  if (!slots.length) return sideRating(player, side);
+  return slots.reduce((sum, role) => sum + roleRating(player, role, catalog), 0) / slots.length;
+}
+
+function averageStrength(ids, byId, measure) {
+  return ids.reduce((sum, id) => sum + playerStrength(byId.get(id), measure), 0) / Math.max(1, ids.length);
+}
+
+function entryMeasure(entry) {
+  const formation = entryFormation(entry);
+  return { side: sideOfPhase(entry.phase), roles: formationRoles(formation), catalog: buildRoleCatalog([formation]) };
+}
+
+// Average expected rating of the players on the field, rounded for display.
+function lineupStrength(playIds, byId, measure) {
+  const ids = playIds.filter((id) => byId.get(id));
+  if (!ids.length) return null;
+  return Math.round(averageStrength(ids, byId, measure) * 10) / 10;
+}
+
+// Strength mode warning for a lineup the balancing got within range but a later step (guard,
+// bench rules, locks) pushed back out.
+function strengthDriftWarnings({ balancedPlayIds, playIds, target, range, byId, measure }) {
+  if (target == null) return [];
+  const within = (ids) => Math.abs(averageStrength(ids, byId, measure) - target) <= range + 1e-9;
+  if (!within(balancedPlayIds) || within(playIds)) return [];
+  const average = averageStrength(playIds, byId, measure);
+  return [`Bench rules, locks or the play-time guard moved this lineup's average rating to ${average.toFixed(1)}, more than ${range} from the team's ${target.toFixed(1)}.`];
+}
+
+/**
+ * Strength mode: swaps players due to sit now with players due to sit next series until the
+ * lineup's average expected rating (playerStrength) is within `range` of the team's. Bench rules
+ * and locks run afterwards and still win. Returns { workingQueue, target }.
+ */
+function balanceStrength({ queue, sitCount, teamSize, byId, range, measure }) {
+  const rating = (id) => playerStrength(byId.get(id), measure);
+  const target = averageStrength(queue, byId, measure);
+  if (!sitCount) return { workingQueue: queue, target };
+
+  const sit = queue.slice(0, sitCount);
+  const play = queue.slice(sitCount, sitCount + teamSize);
+  const swappable = new Set(queue.slice(sitCount, sitCount * 2));
+  const average = () => play.reduce((sum, id) => sum + rating(id), 0) / Math.max(1, play.length);
+
+  for (let i = 0; i < sitCount; i++) {
+    const gap = Math.abs(average() - target);
+    if (gap <= range) break;
+    let best = null;
+    sit.forEach((sitter, sitIndex) => {
+      play.forEach((player, playIndex) => {
+        if (!swappable.has(player)) return;
+        const next = Math.abs(average() + (rating(sitter) - rating(player)) / play.length - target);
+        if (next < gap && (!best || next < best.next)) best = { sitIndex, playIndex, next };
+      });
+    });
+    if (!best) break;
+    const sitter = sit[best.sitIndex];
+    const player = play[best.playIndex];
+    sit[best.sitIndex] = player;
+    play[best.playIndex] = sitter;
+    swappable.delete(player);
+  }
+
+  return { workingQueue: [...sit, ...queue.filter((id) => !sit.includes(id))], target };
+}
+
+// ---------- Play-time equity ----------
+// Per player, over the series they were present for: played, sat, the current run of sits
+// and the longest run of series played without sitting.
+function playTimeByPlayer(ids, history) {
+  return new Map(ids.map((id) => {
+    let played = 0;
+    let sat = 0;
+    let sitStreak = 0;
+    let run = 0;
+    let longestRun = 0;
+    history.forEach((entry) => {
+      if (entry.sitIds.includes(id)) {
+        sat++;
+        sitStreak++;
+        run = 0;
+      } else if (entry.playIds.includes(id)) {
+        played++;
+        sitStreak = 0;
+        run++;
+        longestRun = Math.max(longestRun, run);
+      }
+    });
+    const seen = played + sat;
+    return [id, { played, sat, seen, pct: seen ? played / seen : null, sitStreak, longestRun }];
+  }));
+}
+
+// Share played if they sit the next series too.
+function playShareAfterSit(record) {
+  return record.played / (record.seen + 1);
+}
+
+// "below" once under the minimum, "risk" when one more sit would take them under it.
+function playTimeStatus(record, minPct) {
+  if (!minPct || !record?.seen) return null;
+  if (record.pct < minPct / 100) return "below";
+  if (playShareAfterSit(record) < minPct / 100) return "risk";
+  return null;
+}
+
+/**
+ * Swaps due sitters with players on the field when sitting would take them under the minimum
+ * share, or would bench them twice in a row while someone on the field has never sat.
+ * A replacement must not have sat last series and must stay at the minimum after sitting
+ * (or have never sat, for the twice-in-a-row case).
+ */
+function guardPlayTime({ queue, sitCount, teamSize, history, minPct, byId }) {
+  const warnings = [];
+  if (!sitCount) return { workingQueue: queue, warnings };
+  const min = (minPct || 0) / 100;
+  const records = playTimeByPlayer(queue, history);
+  const satLast = new Set(history[history.length - 1]?.sitIds || []);
+  const workingQueue = [...queue];
+
+  for (let sitIndex = 0; sitIndex < sitCount; sitIndex++) {
+    const id = workingQueue[sitIndex];
+    const twice = satLast.has(id);
+    const short = min > 0 && records.get(id).seen > 0 && playShareAfterSit(records.get(id)) < min;
+    if (!twice && !short) continue;
+    const candidates = workingQueue.slice(sitCount, sitCount + teamSize).filter((other) => {
+      if (satLast.has(other)) return false;
+      const record = records.get(other);
+      if (twice && record.sat === 0) return true;
+      return short && playShareAfterSit(record) >= min;
+    });
+    if (!candidates.length) {
+      if (short) warnings.push(`${byId.get(id)?.name || "A player"} drops under ${minPct}% play: no one on the field can sit instead.`);
+      continue;
+    }
+    // Never-sat players first, then whoever keeps the biggest share; queue order breaks ties.
+    const pick = [...candidates].sort((a, b) => (
+      (records.get(a).sat === 0 ? 0 : 1) - (records.get(b).sat === 0 ? 0 : 1)
+      || playShareAfterSit(records.get(b)) - playShareAfterSit(records.get(a))
+    ))[0];
+    const playIndex = workingQueue.indexOf(pick);
+    [workingQueue[sitIndex], workingQueue[playIndex]] = [workingQueue[playIndex], workingQueue[sitIndex]];
+  }
+
+  return { workingQueue, warnings };
+}
+
+// ---------- Scoreboard ----------
+const SERIES_RESULTS = [
+  { key: "td", label: "TD" },
+  { key: "downs", label: "Turnover on downs" },
+  { key: "int", label: "Interception" },
+  { key: "stop", label: "Punt / stop" },
+];
+const PERIOD_FORMATS = { halves: { count: 2, short: "H" }, quarters: { count: 4, short: "Q" } };
+
+function createScoreboard() {
+  return { us: 0, them: 0, period: 1 };
+}
+
+// endsAt is set while the clock runs; remainingMs holds the time left while it's stopped.
+function createClock(minutes) {
+  return { remainingMs: Math.max(0, minutes) * 60000, endsAt: null };
+}
+
+function clockRemaining(clock, now) {
+  if (!clock) return 0;
+  return clock.endsAt ? Math.max(0, clock.endsAt - now) : clock.remainingMs;
+}
+
+function formatClock(ms) {
+  const total = Math.ceil(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+function periodLabel(settings, period) {
+  const format = PERIOD_FORMATS[settings.periodFormat] || PERIOD_FORMATS.halves;
+  return period > format.count ? `OT${period - format.count > 1 ? period - format.count : ""}` : `${format.short}${period}`;
+}
+
+function seriesResultLabel(key) {
+  return SERIES_RESULTS.find((result) => result.key === key)?.label || key;
+}
+
+// ---------- Player locks ----------
+const LOCK_TYPES = [
+  { type: "role", label: "Play a role" },
+  { type: "field", label: "On the field" },
+  { type: "bench", label: "On the bench" },
+];
+
+// remaining counts series that honored the lock (see tickLocks): of the role's side for role locks, any side otherwise.
+function createLock(playerId, type, count, role = null) {
+  return { id: crypto.randomUUID(), playerId, type, role: type === "role" ? role : null, remaining: Math.max(1, count) };
+}
+
+function lockAppliesTo(lock, which) {
+  return lock.type !== "role" || roleScope(lock.role) === sideOfPhase(which);
+}
+
+// Whether a series (or plan slot) did what the lock asks: benched, on the field, or in the role.
+function lockHonoredBy(lock, entry) {
+  if (lock.type === "bench") return entry.sitIds.includes(lock.playerId);
+  if (lock.type === "field") return entry.playIds.includes(lock.playerId);
+  return (entry[sideOfPhase(entry.phase)] || {})[lock.role] === lock.playerId;
+}
+
+// Only locks the series honored count down; one for an absent player or an unused role waits.
+function tickLocks(locks, entry) {
+  return (locks || [])
+    .map((lock) => (lockAppliesTo(lock, entry.phase) && lockHonoredBy(lock, entry) ? { ...lock, remaining: lock.remaining - 1 } : lock))
+    .filter((lock) => lock.remaining > 0);
+}
+
+function normalizeLocks(locks, roster) {
+  if (!Array.isArray(locks)) return [];
+  return locks.filter((lock) => (
+    lock
+    && LOCK_TYPES.some(({ type }) => type === lock.type)
+    && roster.some((p) => p.id === lock.playerId)
+    && (lock.type !== "role" || roleScope(lock.role))
+    && lock.remaining > 0
+  ));
+}
+
+function describeLock(lock, byId, catalog = ROLE_META) {
+  const name = byId.get(lock.playerId)?.name || "Unknown player";
+  const what = lock.type === "role" ? `plays ${roleDisplayName(lock.role, catalog)}` : lock.type === "field" ? "stays on the field" : "sits";
+  return `${name} ${what}`;
+}
+
+/**
+ * Moves bench-locked players into the sit slots and field- or role-locked players out of them,
+ * after bench rules have run. The rest of the queue keeps its order.
+ * Returns { workingQueue, roleLocks: { role: playerId }, lockedIds, warnings }.
+ */
+function applyLocks({ which, queue, sitCount, teamSize, locks, byId, catalog }) {
+  const warnings = [];
+  const inQueue = new Set(queue);
+  const current = (locks || []).filter((lock) => lockAppliesTo(lock, which) && inQueue.has(lock.playerId));
+  const name = (id) => byId.get(id)?.name || "Unknown player";
+
+  const roleLocks = {};
+  current.filter((lock) => lock.type === "role").forEach((lock) => {
+    if (roleLocks[lock.role]) {
+      warnings.push(`${name(lock.playerId)} and ${name(roleLocks[lock.role])} are both locked to ${roleDisplayName(lock.role, catalog)}; ${name(roleLocks[lock.role])} keeps it.`);
+    } else if (!Object.values(roleLocks).includes(lock.playerId)) {
+      roleLocks[lock.role] = lock.playerId;
+    }
+  });
+  const mustPlay = new Set([
+    ...Object.values(roleLocks),
+    ...current.filter((lock) => lock.type === "field").map((lock) => lock.playerId),
+  ]);
+  const mustSit = [...new Set(current.filter((lock) => lock.type === "bench").map((lock) => lock.playerId))]
+    .filter((id) => {
+      if (!mustPlay.has(id)) return true;
+      warnings.push(`${name(id)} is locked both on and off the field; they play.`);
+      return false;
+    });
+  if (mustPlay.size > teamSize) warnings.push(`More players are locked on the field than there are spots (${teamSize}).`);
+  if (mustSit.length > sitCount) warnings.push(`More players are locked to the bench than sit this series (${sitCount}).`);
+
+  const sit = mustSit.slice(0, sitCount);
+  for (const id of queue) {
+    if (sit.length >= sitCount) break;
+    if (!sit.includes(id) && !mustPlay.has(id)) sit.push(id);
+  }
+  // Only possible when everyone left is locked on: the first in line sits anyway.
+  for (const id of queue) {
+    if (sit.length >= sitCount) break;
+    if (!sit.includes(id)) sit.push(id);
+  }
+  const lockedIds = [...mustPlay, ...sit.filter((id) => mustSit.includes(id))];
+
+  return {
+    workingQueue: [...sit, ...queue.filter((id) => !sit.includes(id))],
+    roleLocks,
+    lockedIds,
+    warnings,
+  };
+}
+
+// ---------- Position assignment engine (random + balanced per game) ----------
+const ASSIGNMENT_STRATEGIES = [
+  { value: "randBalanced", label: "Greedy (role by role)" },
+  { value: "optimal", label: "Optimal (whole series at once)" },
+];
+
+const OFFENSE_PRIORITY = ["off_qb", "off_c", "off_te_left", "off_te_right"];
+const DEFENSE_PRIORITY = ["def_de_left", "def_dt", "def_de_right"];
+
+// Restricted players go first so they land in a role they can play; `rank` (higher first)
+// then orders each group, with random order among equals.
+function prioritizeRestrictedPlayers(ctx, pool, rank = null) {
+  if (!pool?.length) return pool;
+  const order = (ids) => (rank ? rngShuffle(ids).sort((a, b) => rank(b) - rank(a)) : rngShuffle(ids));
+
+  const relevantRoles = ctx.roles;
+
+  const restricted = [];
+  const unrestricted = [];
+
+  pool.forEach((id) => {
+    const player = ctx.byId.get(id);
+    if (!player) return;
+
+    const allowedRelevantCount = relevantRoles.filter((roleKey) => restrictionsAllowRole(player, roleKey)).length;
+
+    if (allowedRelevantCount > 0 && allowedRelevantCount < relevantRoles.length) {
+      restricted.push(id);
+    } else {
+      unrestricted.push(id);
+    }
+  });
+
+  if (!restricted.length) {
+    return order(pool);
+  }
+
+  return [...order(restricted), ...order(unrestricted)];
+}
+
+// ctx: { byId, settings, recentRoleByPlayer, roles, catalog } taken from the state the series
+// is built on; roles are the formation's slots for this phase.
+function eligiblePoolForRole(ctx, role, candidates, alreadyAssigned, currentSeries) {
+  const { byId, settings, recentRoleByPlayer, catalog } = ctx;
+  const allowed = candidates.filter((id) => {
+    if (alreadyAssigned.has(id)) return false;
+    return playerCanPlayRole(byId.get(id), role, catalog);
+  });
+
+  if (!allowed.length) return [];
+
+  let pool = allowed;
+
+  // Optional: no-repeat same role family in last N series
+  if (settings.noRepeatWindow && settings.noRepeatWindow > 0) {
+    const group = roleGroup(role, catalog);
+    const filtered = pool.filter((id) => {
+      const rec = recentRoleByPlayer[id];
+      if (!rec) return true;
+      const within = rec.series >= currentSeries - settings.noRepeatWindow;
+      return !(within && rec.role === group);
+    });
+    if (filtered.length) {
+      pool = filtered;
+    }
+  }
+
+  // Goals and preferences only order players that balancing leaves tied
+  const rank = (id) => developmentScore(byId.get(id), role, catalog);
+
+  // Prefer players who haven't played this role yet this game
+  const countFor = (id) => balanceCount(byId.get(id), role);
+  const zeroPool = pool.filter((id) => countFor(id) === 0);
+  if (zeroPool.length) return prioritizeRestrictedPlayers(ctx, narrowBySeason(ctx, zeroPool, role), rank);
+
+  // Otherwise, pick from minimum per-game count for this role
+  const minCount = Math.min(...pool.map(countFor));
+  const minPool = pool.filter((id) => countFor(id) === minCount);
+  return prioritizeRestrictedPlayers(ctx, narrowBySeason(ctx, minPool, role), rank);
+}
+
+// Season tiebreak: among equally balanced players, keep those with the fewest season snaps at this role.
+function narrowBySeason(ctx, pool, role) {
+  if (!ctx.settings.seasonTiebreak || pool.length < 2) return pool;
+  const seasonCount = (id) => ctx.byId.get(id).season?.pos?.[role] || 0;
+  const minSeason = Math.min(...pool.map(seasonCount));
+  return pool.filter((id) => seasonCount(id) === minSeason);
+}
+
+function pickForRole(ctx, role, candidates, alreadyAssigned, currentSeries) {
+  const pool = eligiblePoolForRole(ctx, role, candidates, alreadyAssigned, currentSeries);
+  if (!pool.length) return null;
+  return pool[0] || null; // already shuffled randomly
+}
+
+// Hungarian algorithm on a square cost matrix; returns the column chosen for each row.
+function solveAssignment(costs) {
+  const n = costs.length;
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(n + 1).fill(0);
+  const match = new Array(n + 1).fill(0); // match[col] = row (1-based)
+  const way = new Array(n + 1).fill(0);
+  for (let row = 1; row <= n; row++) {
+    match[0] = row;
+    let col0 = 0;
+    const minv = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+    do {
+      used[col0] = true;
+      const row0 = match[col0];
+      let delta = Infinity;
+      let col1 = 0;
+      for (let col = 1; col <= n; col++) {
+        if (used[col]) continue;
+        const cur = costs[row0 - 1][col - 1] - u[row0] - v[col];
+        if (cur < minv[col]) { minv[col] = cur; way[col] = col0; }
+        if (minv[col] < delta) { delta = minv[col]; col1 = col; }
+      }
+      for (let col = 0; col <= n; col++) {
+        if (used[col]) { u[match[col]] += delta; v[col] -= delta; } else { minv[col] -= delta; }
+      }
+      col0 = col1;
+    } while (match[col0] !== 0);
+    do {
+      const col1 = way[col0];
+      match[col0] = match[col1];
+      col0 = col1;
+    } while (col0);
+  }
+  const result = new Array(n).fill(-1);
+  for (let col = 1; col <= n; col++) {
+    if (match[col]) result[match[col] - 1] = col - 1;
+  }
+  return result;
+}
+
+const OPTIMAL_COST = {
+  ineligible: 1e6, // ability flag or restriction: never chosen while anything else works
+  unfilled: 1e4, // role left open because no eligible player remains
+  repeat: 100, // same role family inside the no-repeat window
+};
+
+/**
+ * Fills every role at once as a min-cost matching. Giving a role to a player
+ * with count c raises the sum of squared counts by 2c + 1, so minimizing the
+ * summed counts minimizes the imbalance. Season counts (when enabled),
+ * development goals, position preferences and random noise only add fractions
+ * that sum to less than one, so they break ties without changing which
+ * assignments are optimal.
+ */
+function assignRolesOptimal(ctx, roles, playIds, currentSeries) {
+  const { byId, settings, recentRoleByPlayer, catalog } = ctx;
+  const players = rngShuffle(playIds.filter((id) => byId.get(id)));
+  const size = Math.max(roles.length, players.length);
+  if (!size) return {};
+  const seasonCount = (player, role) => (settings.seasonTiebreak ? player.season?.pos?.[role] || 0 : 0);
+  const seasonMax = Math.max(0, ...players.flatMap((id) => roles.map((role) => seasonCount(byId.get(id), role))));
+  const seasonUnit = 0.5 / ((size + 1) * (seasonMax + 1));
+  // Goals and preferences add up to less than one season unit, and the noise to less than one of these.
+  const wishUnit = seasonUnit / (4 * (size + 1));
+  const noise = () => (crypto.getRandomValues(new Uint32Array(1))[0] / 2 ** 32) * (wishUnit / (size + 1));
+
+  const costs = roles.map((role) => {
+    const group = roleGroup(role, catalog);
+    const row = players.map((id) => {
+      const player = byId.get(id);
+      if (!playerCanPlayRole(player, role, catalog)) return OPTIMAL_COST.ineligible;
+      let cost = balanceCount(player, role) + seasonCount(player, role) * seasonUnit - developmentScore(player, role, catalog) * wishUnit;
+      const rec = recentRoleByPlayer[id];
+      if (settings.noRepeatWindow > 0 && rec && rec.role === group && rec.series >= currentSeries - settings.noRepeatWindow) {
+        cost += OPTIMAL_COST.repeat;
+      }
+      return cost + noise();
+    });
+    while (row.length < size) row.push(OPTIMAL_COST.unfilled);
+    return row;
+  });
+  while (costs.length < size) costs.push(new Array(size).fill(0)); // spare players stay unassigned
+
+  const mapping = {};
+  solveAssignment(costs).forEach((col, rowIndex) => {
+    const role = roles[rowIndex];
+    const id = players[col];
+    if (!role || !id || costs[rowIndex][col] >= OPTIMAL_COST.ineligible) return;
+    mapping[role] = id;
+  });
+  return mapping;
+}
+
+function assignRoles(ctx, which, allPlayIds, currentSeries) {
+  const { catalog } = ctx;
+  // Role locks are placed first; balancing fills whatever is left.
+  const fixed = Object.fromEntries(Object.entries(ctx.roleLocks || {})
+    .filter(([role, id]) => ctx.roles.includes(role) && allPlayIds.includes(id)));
+  const fixedIds = new Set(Object.values(fixed));
+  const roles = ctx.roles.filter((role) => !fixed[role]);
+  const playIds = allPlayIds.filter((id) => !fixedIds.has(id));
+  if (ctx.settings.assignment === "optimal") {
+    return { ...fixed, ...assignRolesOptimal(ctx, roles, playIds, currentSeries) };
+  }
+  // Slots that need an ability flag go first so the few players who have it are still free.
+  const priority = [
+    ...roles.filter((role) => catalog[role]?.ability),
+    ...(which === "Offense" ? OFFENSE_PRIORITY : DEFENSE_PRIORITY),
+  ];
+  const prioritizedRoles = [
+    ...new Set(priority.filter((role) => roles.includes(role))),
+    ...roles.filter((role) => !priority.includes(role)),
+  ];
+  const mapping = { ...fixed };
+  const assigned = new Set();
+  for (const r of prioritizedRoles) {
+    const id = pickForRole(ctx, r, playIds, assigned, currentSeries);
+    if (id) { mapping[r] = id; assigned.add(id); }
+  }
+  return mapping;
+}
+
+function buildRosterIndex(roster) {
+  const m = new Map();
+  roster.forEach((p) => m.set(p.id, p));
+  return m;
+}
+
+function sitCountFor(state) {
+  const available = state.roster.filter(isAvailable).length;
+  return Math.max(available - state.settings.teamSize, 0);
+}
+
+function markPhaseHandled(benchMeta, which) {
+  return which === "Offense"
+    ? { ...benchMeta, firstOffenseHandled: true }
+    : { ...benchMeta, firstDefenseHandled: true };
+}
+
+/**
+ * Draws the next series from `state` without changing it.
+ * Returns the history entry plus the reordered queue that applySeriesEntry rotates.
+ */
+function buildSeriesEntry(state, which) {
+  const currentSeries = state.series + 1;
+  const sitCount = sitCountFor(state);
+  const byId = buildRosterIndex(state.roster);
+  const benchMetaBefore = state.benchMeta || DEFAULT_BENCH_META;
+  const catalog = roleCatalogFor(state);
+  const formation = activeFormationFor(state, sideOfPhase(which));
+  const measure = { side: sideOfPhase(which), roles: formationRoles(formation), catalog };
+  const strength = state.settings.strengthBalance
+    ? balanceStrength({ queue: state.queue, sitCount, teamSize: state.settings.teamSize, byId, range: state.settings.strengthRange ?? 0.5, measure })
+    : { workingQueue: state.queue, target: null };
+  const guarded = state.settings.minPlayGuard
+    ? guardPlayTime({ queue: strength.workingQueue, sitCount, teamSize: state.settings.teamSize, history: state.history, minPct: state.settings.minPlayPct, byId })
+    : { workingQueue: strength.workingQueue, warnings: [] };
+  const benched = applyBenchRules({
+    which,
+    queue: guarded.workingQueue,
+    sitCount,
+    teamSize: state.settings.teamSize,
+    rules: state.benchRules || [],
+    benchMeta: benchMetaBefore,
+    byId,
+  });
+  const { workingQueue, roleLocks, lockedIds, warnings: lockWarnings } = applyLocks({
+    which,
+    queue: benched.workingQueue,
+    sitCount,
+    teamSize: state.settings.teamSize,
+    locks: state.locks,
+    byId,
+    catalog,
+  });
+
+  const sitIds = workingQueue.slice(0, sitCount);
+  const playIds = workingQueue.slice(sitCount, sitCount + state.settings.teamSize);
+
+  const strengthWarnings = strengthDriftWarnings({
+    balancedPlayIds: strength.workingQueue.slice(sitCount, sitCount + state.settings.teamSize),
+    playIds,
+    target: strength.target,
+    range: state.settings.strengthRange ?? 0.5,
+    byId,
+    measure,
+  });
+
+  const ctx = {
+    byId,
+    settings: state.settings,
+    recentRoleByPlayer: state.recentRoleByPlayer,
+    roles: formationRoles(formation),
+    catalog,
+    roleLocks,
+  };
+  const mapping = assignRoles(ctx, which, playIds, currentSeries);
+  const lockedRoles = Object.keys(roleLocks).filter((role) => mapping[role] === roleLocks[role]);
+  Object.entries(roleLocks).forEach(([role, id]) => {
+    if (!lockedRoles.includes(role)) lockWarnings.push(`${byId.get(id)?.name || "A player"} is locked to ${roleDisplayName(role, catalog)}, which this formation doesn't use.`);
+  });
+  const lockedMapping = Object.fromEntries(lockedRoles.map((role) => [role, mapping[role]]));
+
+  const entry = {
+    phase: which,
+    series: currentSeries,
+    sitIds,
+    playIds,
+    outIds: state.roster.filter((p) => p.active && p.out).map((p) => p.id),
+    offense: which === "Offense" ? mapping : null,
+    defense: which === "Defense" ? mapping : null,
+    formation: formationSnapshot(formation),
+    recentBefore: state.recentRoleByPlayer,
+    benchMetaBefore,
+    benchMetaAfter: benched.benchMeta,
+    warnings: [...guarded.warnings, ...benched.warnings, ...lockWarnings, ...strengthWarnings, ...overrideWarnings(lockedMapping, byId, catalog)],
+    lockedIds,
+    lockedRoles,
+    strength: lineupStrength(playIds, byId, measure),
+    strengthTarget: strength.target,
+    period: state.scoreboard?.period || 1,
+    score: { us: state.scoreboard?.us || 0, them: state.scoreboard?.them || 0 },
+    result: null,
+  };
+  return { entry, workingQueue };
+}
+
+// Returns the state fields that change once `entry` has been played.
+function applySeriesEntry(state, entry, workingQueue) {
+  const { sitIds, series: currentSeries } = entry;
+  const mappingNow = entry.phase === "Offense" ? entry.offense : entry.defense;
+  const advance = Math.max(1, sitIds.length);
+
+  const roster = state.roster.map((p) => {
+    if (sitIds.includes(p.id)) return { ...p, sits: p.sits + 1 };
+    const myRole = Object.entries(mappingNow || {}).find(([, pid]) => pid === p.id)?.[0];
+    if (myRole) return { ...p, pos: { ...p.pos, [myRole]: (p.pos[myRole] || 0) + 1 } };
+    return p;
+  }).map((p) => (p.out ? { ...p, out: tickOutStatus(p.out) } : p));
+
+  const catalog = buildRoleCatalog([entryFormation(entry)]);
+  const recentRoleByPlayer = { ...state.recentRoleByPlayer };
+  Object.entries(mappingNow || {}).forEach(([role, pid]) => {
+    recentRoleByPlayer[pid] = { role: roleGroup(role, catalog), series: currentSeries };
+  });
+
+  // Anyone whose sit-out just ended rejoins at the back.
+  const queue = buildQueueFromActive(roster, [...workingQueue.slice(advance), ...workingQueue.slice(0, advance)], state.settings);
+
+  return {
+    roster,
+    queue,
+    series: currentSeries,
+    history: [...state.history, entry],
+    recentRoleByPlayer,
+    benchMeta: entry.benchMetaAfter || markPhaseHandled(state.benchMeta || DEFAULT_BENCH_META, entry.phase),
+    locks: tickLocks(state.locks, entry),
+  };
+}
+
+// ---------- Manual overrides ----------
+// A spot is { role } for a slot on the board or { sitId } for a player on the bench.
+function spotOccupant(mapping, spot) {
+  return spot.role ? mapping[spot.role] || null : spot.sitId;
+}
+
+// The spot a drag from the live board carries, or null for anything else dropped on it.
+function parseDroppedSpot(data, entry) {
+  if (!entry || !data) return null;
+  let spot;
+  try {
+    spot = JSON.parse(data);
+  } catch {
+    return null;
+  }
+  if (!isPlainObject(spot)) return null;
+  if (typeof spot.role === "string") return formationRoles(entryFormation(entry)).includes(spot.role) ? { role: spot.role } : null;
+  if (typeof spot.sitId === "string") return entry.sitIds.includes(spot.sitId) ? { sitId: spot.sitId } : null;
+  return null;
+}
+
+function sameSpot(a, b) {
+  return !!a && !!b && (a.role ? a.role === b.role : a.sitId === b.sitId);
+}
+
+// Warnings for slots the engine would never have filled this way.
+function overrideWarnings(mapping, byId, catalog) {
+  return Object.entries(mapping).flatMap(([role, pid]) => {
+    const player = byId.get(pid);
+    if (!player) return [];
+    const ability = catalog[role]?.ability;
+    const slot = roleDisplayName(role, catalog);
+    if (ability && player[ability] === false) return [`${player.name} is at ${slot} without the ${ABILITY_FLAG_LABELS[ability] || ability} flag.`];
+    if (!restrictionsAllowRole(player, role)) return [`${player.name} is at ${slot}, which their role restrictions exclude.`];
+    return [];
+  });
+}
+
+/**
+ * Swaps the players in two spots of the last series and rewrites it in place:
+ * the history entry, per-game tallies, recent roles and the bench queue all
+ * end up as if the engine had drawn the new lineup. Returns the changed state
+ * fields, or null when the move changes nothing.
+ */
+function overrideLastSeries(state, from, to) {
+  const entry = state.history[state.history.length - 1];
+  if (!entry || sameSpot(from, to) || (!from.role && !to.role)) return null;
+  const side = sideOfPhase(entry.phase);
+  const oldMapping = entry[side] || {};
+  const mapping = { ...oldMapping };
+  const place = (spot, id) => {
+    if (id) mapping[spot.role] = id;
+    else delete mapping[spot.role];
+  };
+  let sitIds = entry.sitIds;
+  let playIds = entry.playIds;
+  let queue = state.queue;
+
+  if (from.role && to.role) {
+    const moving = spotOccupant(oldMapping, from);
+    if (!moving && !spotOccupant(oldMapping, to)) return null;
+    place(from, spotOccupant(oldMapping, to));
+    place(to, moving);
+  } else {
+    const roleSpot = from.role ? from : to;
+    const playerIn = (from.role ? to : from).sitId;
+    // An open slot takes the bench player; a player left without a slot sits in their place.
+    const assigned = new Set(Object.values(oldMapping));
+    const playerOut = spotOccupant(oldMapping, roleSpot) || playIds.find((id) => !assigned.has(id)) || null;
+    place(roleSpot, playerIn);
+    sitIds = playerOut ? sitIds.map((id) => (id === playerIn ? playerOut : id)) : sitIds.filter((id) => id !== playerIn);
+    playIds = [...playIds.filter((id) => id !== playerOut), playerIn];
+    if (playerOut) queue = queue.map((id) => (id === playerIn ? playerOut : id === playerOut ? playerIn : id));
+  }
+
+  const roleOf = (m, id) => Object.entries(m).find(([, pid]) => pid === id)?.[0];
+  const roster = state.roster.map((p) => {
+    const oldRole = roleOf(oldMapping, p.id);
+    const newRole = roleOf(mapping, p.id);
+    let pos = p.pos;
+    if (oldRole !== newRole) {
+      pos = { ...pos };
+      if (oldRole) pos[oldRole] = Math.max(0, (pos[oldRole] || 0) - 1);
+      if (newRole) pos[newRole] = (pos[newRole] || 0) + 1;
+    }
+    const sitDelta = (sitIds.includes(p.id) ? 1 : 0) - (entry.sitIds.includes(p.id) ? 1 : 0);
+    return pos === p.pos && !sitDelta ? p : { ...p, pos, sits: Math.max(0, p.sits + sitDelta) };
+  });
+
+  const catalog = buildRoleCatalog([entryFormation(entry)]);
+  const recentRoleByPlayer = { ...state.recentRoleByPlayer };
+  Object.values(oldMapping).forEach((pid) => {
+    if (recentRoleByPlayer[pid]?.series !== entry.series) return;
+    if (entry.recentBefore?.[pid]) recentRoleByPlayer[pid] = entry.recentBefore[pid];
+    else delete recentRoleByPlayer[pid];
+  });
+  Object.entries(mapping).forEach(([role, pid]) => {
+    recentRoleByPlayer[pid] = { role: roleGroup(role, catalog), series: entry.series };
+  });
+
+  const nextEntry = {
+    ...entry,
+    [side]: mapping,
+    sitIds,
+    playIds,
+    overridden: true,
+    overrideWarnings: overrideWarnings(mapping, buildRosterIndex(state.roster), catalog),
+    strength: lineupStrength(playIds, buildRosterIndex(state.roster), entryMeasure(entry)),
+  };
+  return {
+    roster,
+    queue,
+    history: [...state.history.slice(0, -1), nextEntry],
+    recentRoleByPlayer,
+  };
+}
+
+// ---------- Captains ----------
+function createCaptainState(gameNumber) {
+  return { gameNumber, ids: [] };
+}
+
+/**
+ * Picks `count` captains from present, eligible players, fewest season captaincies first
+ * (random among ties). Re-picking the same game first hands back the current captains' counts.
+ */
+function pickCaptains(state) {
+  const current = state.captains?.gameNumber === state.gameNumber ? state.captains.ids : [];
+  const roster = state.roster.map((p) => (
+    current.includes(p.id) ? { ...p, captainCount: Math.max(0, p.captainCount - 1) } : p
+  ));
+  const candidates = rngShuffle(roster.filter((p) => p.active && p.captainEligible))
+    .sort((a, b) => a.captainCount - b.captainCount);
+  const ids = candidates.slice(0, Math.max(0, state.settings.captainCount || 0)).map((p) => p.id);
+  return {
+    roster: roster.map((p) => (ids.includes(p.id) ? { ...p, captainCount: p.captainCount + 1 } : p)),
+    captains: { gameNumber: state.gameNumber, ids },
+  };
+}
+
+// ---------- Game plan ----------
+const DEFAULT_PLAN_FORM = { offenseCount: 6, defenseCount: 6, firstPhase: "Offense" };
+
+function planPhaseOrder({ offenseCount, defenseCount, firstPhase }) {
+  const remaining = { Offense: offenseCount, Defense: defenseCount };
+  const order = [];
+  let phase = firstPhase === "Defense" ? "Defense" : "Offense";
+  while (remaining.Offense > 0 || remaining.Defense > 0) {
+    if (remaining[phase] > 0) {
+      order.push(phase);
+      remaining[phase] -= 1;
+    }
+    phase = phase === "Offense" ? "Defense" : "Offense";
+  }
+  return order;
+}
+
+function lineupFromEntry(entry) {
+  return {
+    sitIds: entry.sitIds,
+    playIds: entry.playIds,
+    outIds: entry.outIds,
+    offense: entry.offense,
+    defense: entry.defense,
+    formation: entry.formation,
+    warnings: entry.warnings,
+    strength: entry.strength,
+  };
+}
+
+// Checks a planned slot against today's locks, which may have been added after the plan was drawn.
+// Returns { honored, lockedIds, lockedRoles }; a lock the slot breaks means the slot can't be used as-is.
+function plannedSlotLocks(state, slot) {
+  const lineup = new Set([...slot.sitIds, ...slot.playIds]);
+  const current = (state.locks || []).filter((lock) => lockAppliesTo(lock, slot.phase) && lineup.has(lock.playerId));
+  return {
+    honored: current.every((lock) => lockHonoredBy(lock, slot)),
+    lockedIds: [...new Set(current.map((lock) => lock.playerId))],
+    lockedRoles: current.filter((lock) => lock.type === "role").map((lock) => lock.role),
+  };
+}
+
+// Planned lineups keep their bench; the rest of the queue keeps its order.
+function buildPlannedEntry(state, slot) {
+  const benchMetaBefore = state.benchMeta || DEFAULT_BENCH_META;
+  const { lockedIds, lockedRoles } = plannedSlotLocks(state, slot);
+  const entry = {
+    phase: slot.phase,
+    series: state.series + 1,
+    sitIds: slot.sitIds,
+    playIds: slot.playIds,
+    outIds: state.roster.filter((p) => p.active && p.out).map((p) => p.id),
+    offense: slot.offense,
+    defense: slot.defense,
+    formation: entryFormation(slot),
+    recentBefore: state.recentRoleByPlayer,
+    benchMetaBefore,
+    benchMetaAfter: markPhaseHandled(benchMetaBefore, slot.phase),
+    warnings: slot.warnings || [],
+    lockedIds,
+    lockedRoles,
+    strength: slot.strength ?? null,
+    period: state.scoreboard?.period || 1,
+    score: { us: state.scoreboard?.us || 0, them: state.scoreboard?.them || 0 },
+    result: null,
+    planSlotId: slot.id,
+  };
+  const workingQueue = [...slot.sitIds, ...state.queue.filter((id) => !slot.sitIds.includes(id))];
+  return { entry, workingQueue };
+}
+
+/**
+ * Runs the engine over every unplayed slot, starting from the live state.
+ * Slots for which `shouldRegenerate` is true get a fresh lineup; the others
+ * are replayed as-is so later series see the tallies they produce.
+ */
+function simulatePlan(state, slots, shouldRegenerate) {
+  let sim = { ...state, history: [] };
+  return slots.map((slot, index) => {
+    if (slot.played) return slot;
+    const built = shouldRegenerate(slot, index)
+      ? buildSeriesEntry(sim, slot.phase)
+      : buildPlannedEntry(sim, slot);
+    sim = { ...sim, ...applySeriesEntry(sim, built.entry, built.workingQueue) };
+    return { ...slot, ...lineupFromEntry(built.entry) };
+  });
+}
+
+function createPlan(state, form) {
+  const slots = planPhaseOrder(form).map((phase) => ({
+    id: crypto.randomUUID(),
+    phase,
+    locked: false,
+    played: false,
+    sitIds: [],
+    playIds: [],
+    offense: null,
+    defense: null,
+    warnings: [],
+  }));
+  return { ...form, slots: simulatePlan(state, slots, () => true) };
+}
+
+function findPlannedSlot(state, which) {
+  return state.plan?.slots.find((slot) => !slot.played && slot.phase === which) || null;
+}
+
+function plannedSlotIsPlayable(state, slot) {
+  const activeIds = new Set(state.roster.filter(isAvailable).map((p) => p.id));
+  const lineupIds = [...slot.sitIds, ...slot.playIds];
+  return lineupIds.length === activeIds.size
+    && slot.playIds.length === state.settings.teamSize
+    && lineupIds.every((id) => activeIds.has(id));
+}
+
+function markPlanSlot(plan, slotId, played) {
+  if (!plan || !slotId) return plan;
+  return {
+    ...plan,
+    slots: plan.slots.map((slot) => (slot.id === slotId ? { ...slot, played } : slot)),
+  };
+}
+
+// Per-player sits, longest run of consecutive sits, and roles across the whole plan.
+function summarizePlan(plan, roster) {
+  return roster.filter((p) => p.active).map((p) => {
+    let sits = 0;
+    let streak = 0;
+    let longestSitStreak = 0;
+    const roles = {};
+    plan.slots.forEach((slot) => {
+      if (slot.sitIds.includes(p.id)) {
+        sits += 1;
+        streak += 1;
+        longestSitStreak = Math.max(longestSitStreak, streak);
+        return;
+      }
+      streak = 0;
+      const mapping = slot.phase === "Offense" ? slot.offense : slot.defense;
+      const role = Object.entries(mapping || {}).find(([, pid]) => pid === p.id)?.[0];
+      if (role) {
+        const group = roleGroup(role, buildRoleCatalog([entryFormation(slot)]));
+        roles[group] = (roles[group] || 0) + 1;
+      }
+    });
+    return { id: p.id, name: p.name, sits, longestSitStreak, roles };
+  });
+}
+
+// Build the sample roster: positions zeroed
+function buildSampleRoster() {
+  const roster = SAMPLE_ROSTER_TEMPLATE.map((n) => ({
+    ...createEmptyTallies(n),
+    roleRestrictions: normalizeRoleRestrictions(LEGACY_PLAYER_ROLE_RESTRICTIONS[n]),
+  })).sort((a, b) => a.name.localeCompare(b.name));
+  return roster;
+}
+
+function normalizePlayer(player) {
+  if (!player) return player;
+  const normalized = { ...player };
+
+  const pos = { ...(normalized.pos || {}) };
+  Object.entries(LEGACY_ROLE_MAP).forEach(([legacy, current]) => {
+    if (Object.prototype.hasOwnProperty.call(pos, legacy)) {
+      const value = typeof pos[legacy] === "number" ? pos[legacy] : 0;
+      pos[current] = (typeof pos[current] === "number" ? pos[current] : 0) + value;
+      delete pos[legacy];
+    }
+  });
+  [...OFFENSE_ROLES, ...DEFENSE_ROLES].forEach((role) => {
+    pos[role] = typeof pos[role] === "number" ? pos[role] : 0;
+  });
+  normalized.pos = pos;
+
+  normalized.canQB = player.canQB !== undefined ? player.canQB : true;
+  normalized.canCenter = player.canCenter !== undefined ? player.canCenter : true;
+
+  normalized.sits = typeof player.sits === "number" ? player.sits : 0;
+  normalized.active = player.active !== undefined ? player.active : true;
+
+  normalized.id = player.id || crypto.randomUUID();
+  normalized.roleRestrictions = normalizeRoleRestrictions(
+    player.roleRestrictions || LEGACY_PLAYER_ROLE_RESTRICTIONS[player.name],
+  );
+  normalized.season = normalizeSeasonTotals(player.season);
+  normalized.captainEligible = player.captainEligible !== undefined ? player.captainEligible : true;
+  normalized.captainCount = typeof player.captainCount === "number" ? player.captainCount : 0;
+  normalized.ratings = normalizeRatings(player.ratings);
+  normalized.out = normalizeOutStatus(player.out);
+  normalized.arrivedAt = typeof player.arrivedAt === "number" ? player.arrivedAt : null;
+  normalized.lateCredit = Object.fromEntries(Object.entries(player.lateCredit || {}).filter(([, credit]) => typeof credit === "number" && credit > 0));
+  normalized.number = player.number != null && String(player.number).trim() ? String(player.number).trim() : null;
+  normalized.nickname = typeof player.nickname === "string" ? player.nickname : "";
+  normalized.parentNote = typeof player.parentNote === "string" ? player.parentNote : "";
+  normalized.preferredRoles = Array.isArray(player.preferredRoles) ? player.preferredRoles.filter((key) => typeof key === "string") : [];
+  normalized.goals = normalizeGoals(player.goals);
+  normalized.avatar = typeof player.avatar === "string" && player.avatar.startsWith("data:image/") ? player.avatar : null;
+
+  return normalized;
+}
+
+// ---------- Player profiles ----------
+const JERSEY_NUMBER_PATTERN = /^\d{1,3}$/;
+
+// "07" and "7" are the same jersey; "0" stays a number of its own.
+function jerseyKey(number) {
+  return number ? String(number).replace(/^0+(?=\d)/, "") : null;
+}
+
+// Clears the number of any incoming player whose jersey someone else already wears, either on
+// `roster` or earlier in `players`. Returns { players, conflicts: ["Sam: #7 is Alex's"] }.
+function releaseTakenNumbers(roster, players) {
+  const holders = new Map(roster.filter((p) => p.number).map((p) => [jerseyKey(p.number), p]));
+  const conflicts = [];
+  const released = players.map((p) => {
+    if (!p.number) return p;
+    const holder = holders.get(jerseyKey(p.number));
+    if (holder && holder.name.toLowerCase() !== p.name.toLowerCase()) {
+      conflicts.push(`${p.name}: #${p.number} is ${holder.name}'s`);
+      return { ...p, number: null };
+    }
+    holders.set(jerseyKey(p.number), p);
+    return p;
+  });
+  return { players: released, conflicts };
+}
+const AVATAR_SIZE = 96; // px; photos are cropped square and kept inline with the player
+const AVATAR_COLORS = ["bg-sky-600", "bg-emerald-600", "bg-amber-600", "bg-rose-600", "bg-violet-600", "bg-teal-600", "bg-fuchsia-600", "bg-orange-600"];
+
+function displayName(player) {
+  return player?.nickname || player?.name || "";
+}
+
+// How refs and the board call a player: "#7 Sam", or just the name without a number.
+function playerLabel(player) {
+  return player?.number ? `#${player.number} ${displayName(player)}` : displayName(player);
+}
+
+function playerInitials(player) {
+  return displayName(player).split(/\s+/).filter(Boolean).slice(0, 2).map((word) => word[0].toUpperCase()).join("") || "?";
+}
+
+function avatarColor(seed) {
+  const hash = [...String(seed || "")].reduce((sum, ch) => (sum * 31 + ch.charCodeAt(0)) % 9973, 0);
+  return AVATAR_COLORS[hash % AVATAR_COLORS.length];
+}
+
+function createEmptyProfile() {
+  return { id: null, name: "", nickname: "", number: "", parentNote: "", preferredRoles: [], goals: [], avatar: null };
+}
+
+function profileFromPlayer(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    nickname: player.nickname || "",
+    number: player.number || "",
+    parentNote: player.parentNote || "",
+    preferredRoles: player.preferredRoles || [],
+    goals: player.goals || [],
+    avatar: player.avatar || null,
+  };
+}
+
+// Names and jersey numbers must be unique on the roster; `profile.id` is null for a new player.
+function validatePlayerProfile(profile, roster) {
+  const errors = [];
+  const name = profile.name.trim();
+  const number = profile.number.trim();
+  if (!name) errors.push("Name is required.");
+  const sameName = name && roster.find((p) => p.id !== profile.id && p.name.toLowerCase() === name.toLowerCase());
+  if (sameName) errors.push(`${sameName.name} is already on the roster. Add an initial to tell them apart.`);
+  if (number && !JERSEY_NUMBER_PATTERN.test(number)) errors.push("Jersey number must be 1–3 digits.");
+  const sameNumber = number && roster.find((p) => p.id !== profile.id && jerseyKey(p.number) === jerseyKey(number));
+  if (sameNumber) errors.push(`#${sameNumber.number} is already ${sameNumber.name}'s number.`);
+  return errors;
+}
+
+function profileFields(profile) {
+  return {
+    name: profile.name.trim(),
+    nickname: profile.nickname.trim(),
+    number: profile.number.trim() || null,
+    parentNote: profile.parentNote.trim(),
+    preferredRoles: profile.preferredRoles,
+    goals: normalizeGoals(profile.goals),
+    avatar: profile.avatar || null,
+  };
+}
+
+// Crops a picked photo to a centered square and shrinks it to AVATAR_SIZE as a JPEG data URL.
+function readAvatarFile(file, onLoad, onError) {
+  const reader = new FileReader();
+  reader.onerror = () => onError("Could not read that file.");
+  reader.onload = () => {
+    const img = new Image();
+    img.onerror = () => onError("That file is not an image.");
+    img.onload = () => {
+      const side = Math.min(img.width, img.height);
+      const canvas = document.createElement("canvas");
+      canvas.width = AVATAR_SIZE;
+      canvas.height = AVATAR_SIZE;
+      canvas.getContext("2d").drawImage(img, (img.width - side) / 2, (img.height - side) / 2, side, side, 0, 0, AVATAR_SIZE, AVATAR_SIZE);
+      onLoad(canvas.toDataURL("image/jpeg", 0.8));
+    };
+    img.src = reader.result;
+  };
+  reader.readAsDataURL(file);
+}
+
+function normalizeCustomFormations(formations) {
+  if (!Array.isArray(formations)) return [];
+  return formations
+    .filter((formation) => formation && SIDE_KEY_PREFIX[formation.side] && Array.isArray(formation.positions))
+    .map((formation) => sanitizeFormation({
+      ...formation,
+      id: formation.id || crypto.randomUUID(),
+      layout: Array.isArray(formation.layout) ? formation.layout : [],
+    }).formation)
+    .filter((formation) => formation.positions.length);
+}
+
+function normalizeRecentMap(map) {
+  if (!map) return {};
+  const result = {};
+  Object.entries(map).forEach(([pid, rec]) => {
+    if (!rec) return;
+    result[pid] = {
+      role: roleGroup(rec.role),
+      series: rec.series || 0,
+    };
+  });
+  return result;
+}
+
+function normalizeHistoryEntries(history) {
+  if (!Array.isArray(history)) return [];
+  return history.map((entry) => {
+    if (!entry) return entry;
+    const mapRoles = (mapping) => {
+      if (!mapping) return mapping;
+      const next = {};
+      Object.entries(mapping).forEach(([role, pid]) => {
+        const migrated = migrateRoleKey(role);
+        next[migrated] = pid;
+      });
+      return next;
+    };
+
+    return {
+      ...entry,
+      offense: mapRoles(entry.offense),
+      defense: mapRoles(entry.defense),
+    };
+  });
+}
+
+function createBaseSettings() {
+  return {
+    teamSize: 7,
+    noRepeatWindow: 1, // block same role in consecutive series
+    assignment: "randBalanced", // "randBalanced" (greedy) or "optimal" (matching)
+    seasonTiebreak: false, // break role-balancing ties with season totals; for the bench, only the starting queue order
+    strengthBalance: false, // pick the bench so on-field strength stays near the team average
+    strengthRange: 0.5, // allowed gap between a lineup's average rating and the team's
+    minPlayPct: 50, // league minimum share of series played; 0 turns the flags off
+    minPlayGuard: false, // let the bench queue enforce minPlayPct and avoid back-to-back sits
+    periodFormat: "halves", // "halves" or "quarters"
+    clockMinutes: 0, // minutes per period for the countdown clock; 0 hides it
+    captainCount: 2, // captains picked per game
+  };
+}
+
+function createBaseState() {
+  return {
+    roster: [],
+    queue: [],
+    series: 0,
+    history: [],
+    settings: createBaseSettings(),
+    recentRoleByPlayer: {},
+    benchMeta: { ...DEFAULT_BENCH_META },
+    benchRules: [],
+    customFormations: [],
+    locks: [],
+    scoreboard: createScoreboard(),
+    clock: createClock(0),
+    activeFormationIds: { offense: defaultFormationId("offense", 7), defense: defaultFormationId("defense", 7) },
+    plan: null,
+    captains: createCaptainState(1),
+    lastQB: null,
+    gameNumber: 1,
+    seasonHistory: [],
+    ui: { showAttendance: false, showSettings: false },
+  };
+}
+
+// Brings a saved or imported state up to the current shape.
+// ---------- Stored shapes ----------
+// Saves and import files come from older builds or other hands; these keep only what the app can render.
+const isIdList = (value) => Array.isArray(value) && value.every((id) => typeof id === "string");
+const isRoleMapping = (value) => value == null || (isPlainObject(value) && Object.values(value).every((id) => typeof id === "string"));
+
+// Settings must match the type of their default; anything else falls back to it.
+function normalizeSettings(settings) {
+  const base = createBaseSettings();
+  if (!isPlainObject(settings)) return base;
+  const usable = (key, value) => {
+    const stored = settings[key];
+    if (typeof stored !== typeof value) return false;
+    if (typeof value !== "number") return true;
+    return key === "teamSize" ? Number.isInteger(stored) && stored > 0 : isCount(stored);
+  };
+  return Object.fromEntries(Object.entries(base).map(([key, value]) => [key, usable(key, value) ? settings[key] : value]));
+}
+
+function normalizeScoreboard(scoreboard) {
+  const base = createScoreboard();
+  if (!isPlainObject(scoreboard)) return base;
+  return {
+    us: isCount(scoreboard.us) ? scoreboard.us : base.us,
+    them: isCount(scoreboard.them) ? scoreboard.them : base.them,
+    period: Number.isInteger(scoreboard.period) && scoreboard.period > 0 ? scoreboard.period : base.period,
+  };
+}
+
+function normalizeClock(clock, minutes) {
+  const valid = isPlainObject(clock) && isCount(clock.remainingMs) && (clock.endsAt === null || Number.isFinite(clock.endsAt));
+  return valid ? { remainingMs: clock.remainingMs, endsAt: clock.endsAt } : createClock(minutes);
+}
+
+function normalizeCaptains(captains, roster, gameNumber) {
+  if (!isPlainObject(captains) || !Array.isArray(captains.ids)) return createCaptainState(gameNumber);
+  return {
+    gameNumber: Number.isInteger(captains.gameNumber) ? captains.gameNumber : gameNumber,
+    ids: captains.ids.filter((id) => roster.some((p) => p.id === id)),
+  };
+}
+
+function isValidPlanSlot(slot) {
+  return isPlainObject(slot)
+    && ["Offense", "Defense"].includes(slot.phase)
+    && isIdList(slot.sitIds)
+    && isIdList(slot.playIds)
+    && isRoleMapping(slot.offense)
+    && isRoleMapping(slot.defense);
+}
+
+// A plan is all or nothing: one unusable slot drops it, and the coach generates a new one.
+function normalizePlan(plan) {
+  if (!isPlainObject(plan) || !Array.isArray(plan.slots) || !plan.slots.every(isValidPlanSlot)) return null;
+  return {
+    ...DEFAULT_PLAN_FORM,
+    ...plan,
+    slots: plan.slots.map((slot) => ({
+      ...slot,
+      id: typeof slot.id === "string" ? slot.id : crypto.randomUUID(),
+      locked: !!slot.locked,
+      played: !!slot.played,
+      warnings: Array.isArray(slot.warnings) ? slot.warnings.filter((warning) => typeof warning === "string") : [],
+    })),
+  };
+}
+
+function migrateState(data) {
+  const baseState = createBaseState();
+  const baseSettings = baseState.settings;
+  // Older builds kept a captain queue in a different shape; captains are rebuilt from player counts now.
+  const { captainQueue: _discardQueue, captainIndex: _discardIndex, captainPlan: _legacyCaptain, ...restData } = data || {};
+  const storedRoster = (restData.roster || []).map((p) => normalizePlayer(p));
+  const activeIds = storedRoster.filter(isAvailable).map((p) => p.id);
+  const storedQueue = (restData.queue || []).filter((id) => activeIds.includes(id));
+  const normalizedRecent = normalizeRecentMap(restData.recentRoleByPlayer);
+  const normalizedRoster = storedRoster;
+  const settings = normalizeSettings({ ...baseSettings, ...(isPlainObject(restData.settings) ? restData.settings : {}) });
+  const gameNumber = Number.isInteger(restData.gameNumber) && restData.gameNumber > 0 ? restData.gameNumber : baseState.gameNumber;
+  const queueFromStorage = buildQueueFromActive(normalizedRoster, storedQueue, settings);
+  return {
+    ...baseState,
+    ...restData,
+    roster: normalizedRoster,
+    queue: queueFromStorage.length ? queueFromStorage : baseState.queue,
+    settings,
+    gameNumber,
+    history: normalizeHistoryEntries(restData.history || []),
+    recentRoleByPlayer: normalizedRecent,
+    seasonHistory: (Array.isArray(restData.seasonHistory) ? restData.seasonHistory : []).filter(isPlainObject),
+    benchMeta: restData.benchMeta ? { ...DEFAULT_BENCH_META, ...restData.benchMeta } : baseState.benchMeta,
+    benchRules: normalizeBenchRules(restData.benchRules, normalizedRoster),
+    customFormations: normalizeCustomFormations(restData.customFormations),
+    locks: normalizeLocks(restData.locks, normalizedRoster),
+    scoreboard: normalizeScoreboard(restData.scoreboard),
+    clock: normalizeClock(restData.clock, settings.clockMinutes),
+    activeFormationIds: { ...baseState.activeFormationIds, ...(restData.activeFormationIds || {}) },
+    plan: normalizePlan(restData.plan),
+    captains: normalizeCaptains(restData.captains, normalizedRoster, gameNumber),
+  };
+}
+
+// Adds the sample players that aren't on the roster yet (plus their legacy bench rules if none exist).
+function addSampleRoster(state) {
+  const newPlayers = buildSampleRoster()
+    .map((p) => normalizePlayer(p))
+    .filter((p) => !state.roster.some((existing) => existing.name.toLowerCase() === p.name.toLowerCase()));
+  const roster = [...state.roster, ...newPlayers].sort((a, b) => a.name.localeCompare(b.name));
+  return {
+    ...state,
+    roster,
+    queue: buildQueueFromActive(roster, state.queue, state.settings),
+    benchRules: state.benchRules?.length ? state.benchRules : buildLegacyBenchRules(roster),
+  };
+}
+
+function loadInitialState(storageKey) {
+  try {
+    const raw = localStorage.getItem(storageKey);
+    if (raw) return migrateState(JSON.parse(raw));
+  } catch {
+    // Unreadable save: start fresh.
+  }
+
+  return createBaseState();
+}
+
+// ---------- Undo / redo ----------
+const UNDO_LIMIT = 50;
+const UNDO_COALESCE_MS = 2000;
+const EMPTY_TIMELINE = { past: [], future: [] };
+
+// Everything but UI toggles and the undo timeline itself.
+// The game clock runs on its own and is left out too, so undoing a score doesn't rewind it.
+function stripTransient(state) {
+  const { ui: _ui, timeline: _timeline, clock: _clock, ...data } = state;
+  return data;
+}
+
+/**
+ * Records `prev` as an undo step labelled `label` and returns `next` with the new timeline.
+ * With `coalesce`, repeated edits of the same label within a moment share one step.
+ */
+function recordStep(prev, next, label, { coalesce = false } = {}) {
+  if (next === prev) return prev;
+  const timeline = prev.timeline || EMPTY_TIMELINE;
+  const top = timeline.past[timeline.past.length - 1];
+  const now = Date.now();
+  if (coalesce && top?.label === label && now - top.at < UNDO_COALESCE_MS) {
+    return { ...next, timeline: { past: [...timeline.past.slice(0, -1), { ...top, at: now }], future: [] } };
+  }
+  const step = { label, at: now, snapshot: stripTransient(prev) };
+  return { ...next, timeline: { past: [...timeline.past, step].slice(-UNDO_LIMIT), future: [] } };
+}
+
+function stepBack(state) {
+  const timeline = state.timeline || EMPTY_TIMELINE;
+  const step = timeline.past[timeline.past.length - 1];
+  if (!step) return state;
+  return {
+    ...step.snapshot,
+    ui: state.ui,
+    clock: state.clock,
+    timeline: {
+      past: timeline.past.slice(0, -1),
+      future: [{ label: step.label, at: step.at, snapshot: stripTransient(state) }, ...timeline.future],
+    },
+  };
+}
+
+function stepForward(state) {
+  const timeline = state.timeline || EMPTY_TIMELINE;
+  const step = timeline.future[0];
+  if (!step) return state;
+  return {
+    ...step.snapshot,
+    ui: state.ui,
+    clock: state.clock,
+    timeline: {
+      past: [...timeline.past, { label: step.label, at: step.at, snapshot: stripTransient(state) }],
+      future: timeline.future.slice(1),
+    },
+  };
+}
+
+// ---------- Reset safety net ----------
+const BACKUP_LIMIT = 5;
+
+function backupStorageKey(storageKey) {
+  return `${storageKey}:backups`;
+}
+
+function loadBackups(storageKey) {
+  try {
+    const raw = localStorage.getItem(backupStorageKey(storageKey));
+    const backups = raw ? JSON.parse(raw) : [];
+    return Array.isArray(backups) ? backups : [];
+  } catch {
+    return [];
+  }
+}
+
+// Keeps the newest BACKUP_LIMIT pre-reset states for a team; returns the updated list,
+// or null when storage refused it (usually because the device is full).
+function saveBackup(storageKey, label, state) {
+  const backup = {
+    id: crypto.randomUUID(),
+    label,
+    savedAt: new Date().toISOString(),
+    gameNumber: state.gameNumber,
+    seriesPlayed: state.history.length,
+    state: stripTransient(state),
+  };
+  const backups = [backup, ...loadBackups(storageKey)].slice(0, BACKUP_LIMIT);
+  try {
+    localStorage.setItem(backupStorageKey(storageKey), JSON.stringify(backups));
+  } catch {
+    return null;
+  }
+  return backups;
+}
+
+// Plain-language list of what a reset throws away, for the confirm dialog.
+function describeResetLoss(state, kind) {
+  const lines = [];
+  const tallied = state.roster.filter((p) => Object.values(p.pos).some(Boolean) || (kind === "newGame" && p.sits > 0));
+  if (state.history.length) lines.push(`${state.history.length} series from this game's history`);
+  if (tallied.length) {
+    lines.push(kind === "newGame"
+      ? `Sit and position tallies for ${tallied.length} players (added to season totals first)`
+      : `Position tallies for ${tallied.length} players (sits are kept)`);
+  }
+  if (Object.keys(state.recentRoleByPlayer || {}).length) lines.push("Recent roles used by the no-repeat rule");
+  if (state.history.some((entry) => entry.stats && Object.keys(entry.stats).length)) {
+    lines.push(kind === "newGame" ? "Stats recorded this game (added to season stats first)" : "Stats recorded this game");
+  }
+  if (state.plan) lines.push(kind === "newGame" ? "The game plan" : "Progress through the game plan");
+  if (kind === "newGame" && (state.scoreboard?.us || state.scoreboard?.them)) {
+    lines.push(`The ${state.scoreboard.us}–${state.scoreboard.them} score (saved with the archived game)`);
+  }
+  if (kind === "newGame") lines.push(`Game ${state.gameNumber} is archived and Game ${state.gameNumber + 1} starts`);
+  return lines;
+}
+
+// ---------- Teams ----------
+function createTeamRecord(name, storageKey) {
+  const id = crypto.randomUUID();
+  return { id, name, storageKey: storageKey || `${LS_KEY}:${id}` };
+}
+
+// The first team keeps the original key, so saves from single-team versions load unchanged.
+function loadTeamRegistry() {
+  try {
+    const raw = localStorage.getItem(TEAMS_KEY);
+    if (raw) {
+      const data = JSON.parse(raw);
+      const teams = (data?.teams || []).filter((team) => team?.id && team.storageKey);
+      if (teams.length) {
+        const activeTeamId = teams.some((team) => team.id === data.activeTeamId) ? data.activeTeamId : teams[0].id;
+        return { activeTeamId, teams };
+      }
+    }
+  } catch {
+    // Unreadable list: start over with the original single-team key.
+  }
+  const team = createTeamRecord("My Team", LS_KEY);
+  return { activeTeamId: team.id, teams: [team] };
+}
+
+// ---------- Export / import ----------
+const EXPORT_SCHEMA = "flag-coach-state";
+const EXPORT_VERSION = 1;
+
+function buildExportFile(state) {
+  return { schema: EXPORT_SCHEMA, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), state: stripTransient(state) };
+}
+
+const isPlainObject = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+const isCount = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+/**
+ * Checks an export file (or a pre-versioned raw state) before it goes through migrateState.
+ * Returns { errors, state } where `state` is the unwrapped state object.
+ */
+function validateImportData(data) {
+  const errors = [];
+  if (!isPlainObject(data)) return { errors: ["File is not a JSON object."], state: null };
+
+  let state = data;
+  if (data.schema !== undefined || data.version !== undefined) {
+    if (data.schema !== EXPORT_SCHEMA) errors.push(`Unknown schema "${data.schema}".`);
+    if (!Number.isInteger(data.version) || data.version < 1) errors.push("Missing or invalid schema version.");
+    else if (data.version > EXPORT_VERSION) errors.push(`File is version ${data.version}; this app reads up to version ${EXPORT_VERSION}.`);
+    state = data.state;
+  }
+  if (!isPlainObject(state)) return { errors: [...errors, "File has no state object."], state: null };
+
+  if (!Array.isArray(state.roster)) {
+    errors.push("roster must be a list of players.");
+  } else {
+    const seenIds = new Set();
+    state.roster.forEach((player, index) => {
+      const path = `roster[${index}]`;
+      if (!isPlainObject(player)) { errors.push(`${path} is not a player.`); return; }
+      if (typeof player.name !== "string" || !player.name.trim()) errors.push(`${path}.name is missing.`);
+      if (player.id !== undefined) {
+        if (typeof player.id !== "string") errors.push(`${path}.id must be text.`);
+        else if (seenIds.has(player.id)) errors.push(`${path}.id is a duplicate.`);
+        else seenIds.add(player.id);
+      }
+      if (player.sits !== undefined && !isCount(player.sits)) errors.push(`${path}.sits must be a count.`);
+      if (player.pos !== undefined) {
+        if (!isPlainObject(player.pos)) errors.push(`${path}.pos must be an object.`);
+        else if (!Object.values(player.pos).every(isCount)) errors.push(`${path}.pos must only hold counts.`);
+      }
+    });
+  }
+  if (state.settings !== undefined) {
+    if (!isPlainObject(state.settings)) errors.push("settings must be an object.");
+    else if (state.settings.teamSize !== undefined && !(Number.isInteger(state.settings.teamSize) && state.settings.teamSize > 0)) {
+      errors.push("settings.teamSize must be a positive whole number.");
+    } else {
+      const usable = normalizeSettings(state.settings);
+      Object.keys(usable).forEach((key) => {
+        if (state.settings[key] !== undefined && state.settings[key] !== usable[key]) errors.push(`settings.${key} has an invalid value.`);
+      });
+    }
+  }
+  if (state.plan != null && !normalizePlan(state.plan)) errors.push("plan is not a valid game plan.");
+  if (state.captains !== undefined && !(isPlainObject(state.captains) && Array.isArray(state.captains.ids))) {
+    errors.push("captains must hold a list of ids.");
+  }
+  if (state.scoreboard !== undefined) {
+    const scoreboard = normalizeScoreboard(state.scoreboard);
+    if (!isPlainObject(state.scoreboard) || ["us", "them", "period"].some((key) => state.scoreboard[key] !== undefined && state.scoreboard[key] !== scoreboard[key])) {
+      errors.push("scoreboard scores and period must be numbers.");
+    }
+  }
+  ["queue", "history", "seasonHistory", "benchRules", "customFormations"].forEach((key) => {
+    if (state[key] !== undefined && !Array.isArray(state[key])) errors.push(`${key} must be a list.`);
+  });
+  (Array.isArray(state.history) ? state.history : []).forEach((entry, index) => {
+    if (!isPlainObject(entry) || !["Offense", "Defense"].includes(entry.phase)
+      || !Array.isArray(entry.sitIds) || !Array.isArray(entry.playIds)) {
+      errors.push(`history[${index}] is not a valid series.`);
+    }
+  });
+  if (state.gameNumber !== undefined && !(Number.isInteger(state.gameNumber) && state.gameNumber > 0)) {
+    errors.push("gameNumber must be a positive whole number.");
+  }
+
+  return { errors, state };
+}
+
+function seasonEntryKey(entry) {
+  return `${entry?.game}|${entry?.endedAt}`;
+}
+
+function findMatchingPlayer(roster, player) {
+  const key = player.name.toLowerCase();
+  return roster.find((p) => p.id === player.id) || roster.find((p) => p.name.toLowerCase() === key);
+}
+
+/**
+ * How a merge treats season totals of players on both rosters. Totals are per player, not per
+ * game, so they can only be combined when the archived games don't partly overlap:
+ * "add" (no games in common), "replace" (the file has every game this device has, and more),
+ * "keep" (nothing new in the file) or "overlap" (each side has games the other lacks; kept as is).
+ */
+function seasonMergeMode(current, incoming) {
+  const currentKeys = new Set((current.seasonHistory || []).map(seasonEntryKey));
+  const incomingKeys = new Set((incoming.seasonHistory || []).map(seasonEntryKey));
+  const newGames = [...incomingKeys].filter((key) => !currentKeys.has(key));
+  if (!newGames.length) return "keep";
+  if (newGames.length === incomingKeys.size) return "add";
+  if ([...currentKeys].every((key) => incomingKeys.has(key))) return "replace";
+  return "overlap";
+}
+
+// What replacing or merging would change, for the import preview.
+function diffImportedState(current, incoming) {
+  const added = incoming.roster.filter((p) => !findMatchingPlayer(current.roster, p)).map((p) => p.name);
+  const removed = current.roster.filter((p) => !findMatchingPlayer(incoming.roster, p)).map((p) => p.name);
+  const currentSeasonKeys = new Set((current.seasonHistory || []).map(seasonEntryKey));
+  const newGames = (incoming.seasonHistory || []).filter((entry) => !currentSeasonKeys.has(seasonEntryKey(entry)));
+  const settingsChanged = Object.keys({ ...current.settings, ...incoming.settings })
+    .filter((key) => JSON.stringify(current.settings[key]) !== JSON.stringify(incoming.settings[key]));
+  return {
+    added,
+    removed,
+    rosterCount: [current.roster.length, incoming.roster.length],
+    gameNumber: [current.gameNumber, incoming.gameNumber],
+    series: [current.history.length, incoming.history.length],
+    seasonGames: [(current.seasonHistory || []).length, (incoming.seasonHistory || []).length],
+    newGames: newGames.length,
+    seasonMerge: seasonMergeMode(current, incoming),
+    numberConflicts: releaseTakenNumbers(current.roster, incoming.roster.filter((p) => !findMatchingPlayer(current.roster, p))).conflicts,
+    settingsChanged,
+  };
+}
+
+/**
+ * Merge keeps the current game, settings and existing players. Players it does not
+ * know (by id, then name) join with zeroed game tallies; unseen season games are appended,
+ * and existing players pick up the file's season totals as seasonMergeMode allows.
+ */
+function mergeImportedState(current, incoming) {
+  const seasonMerge = seasonMergeMode(current, incoming);
+  const { players: joining } = releaseTakenNumbers(current.roster, incoming.roster.filter((p) => !findMatchingPlayer(current.roster, p)));
+  const withSeason = (p) => {
+    const match = findMatchingPlayer(incoming.roster, p);
+    if (!match || seasonMerge === "keep" || seasonMerge === "overlap") return p;
+    if (seasonMerge === "replace") return { ...p, season: normalizeSeasonTotals(match.season), captainCount: match.captainCount || 0 };
+    return { ...p, season: addSeasonTotals(p.season, match.season), captainCount: (p.captainCount || 0) + (match.captainCount || 0) };
+  };
+  const newPlayers = markLateArrivals(current.roster, joining
+    .map((p) => ({
+      ...p,
+      id: current.roster.some((existing) => existing.id === p.id) ? crypto.randomUUID() : p.id,
+      sits: 0,
+      pos: Object.fromEntries(Object.keys(p.pos).map((k) => [k, 0])),
+      out: null,
+      arrivedAt: null,
+      lateCredit: {},
+    })), current.series);
+  const roster = [...current.roster.map(withSeason), ...newPlayers].sort((a, b) => a.name.localeCompare(b.name));
+  const currentSeasonKeys = new Set((current.seasonHistory || []).map(seasonEntryKey));
+  const seasonHistory = [
+    ...(current.seasonHistory || []),
+    ...(incoming.seasonHistory || []).filter((entry) => !currentSeasonKeys.has(seasonEntryKey(entry))),
+  ].sort((a, b) => (a.game || 0) - (b.game || 0) || String(a.endedAt).localeCompare(String(b.endedAt)));
+  return {
+    ...current,
+    roster,
+    queue: buildQueueFromActive(roster, current.queue, current.settings),
+    seasonHistory,
+    customFormations: [
+      ...(current.customFormations || []),
+      ...(incoming.customFormations || []).filter((formation) => !(current.customFormations || []).some((f) => f.id === formation.id)),
+    ],
+  };
+}
+
+function downloadFile(filename, contents, type) {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function fileSlug(text) {
+  return String(text || "").replace(/[^a-z0-9]+/gi, "-").toLowerCase();
+}
+
+// ---------- CSV ----------
+// Text starting with one of these runs as a formula in Excel and Sheets, so it is written behind a '.
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+function toCsv(rows) {
+  const cell = (value) => {
+    const text = typeof value === "string" && CSV_FORMULA_START.test(value) ? `'${value}` : String(value ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map((row) => row.map(cell).join(",")).join("\r\n") + "\r\n";
+}
+
+// Undoes toCsv's formula guard so an exported roster loads back unchanged.
+function unguardCsvCell(text) {
+  return text.startsWith("'") && CSV_FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+// RFC 4180-ish: quoted fields may hold commas, doubled quotes and line breaks. Blank lines are dropped.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim()));
+}
+
+const yesNo = (value) => (value ? "yes" : "no");
+
+function rolesCell(roles, catalog) {
+  return roles.map((role) => roleDisplayName(role, catalog)).join("; ");
+}
+
+function buildRosterCsv(roster, catalog) {
+  const rows = [["Name", "Number", "Nickname", "Active", "canQB", "canCenter", "Captain eligible", "Allowed roles", "Never roles", "Parent note"]];
+  roster.forEach((p) => {
+    const restrictions = p.roleRestrictions || EMPTY_ROLE_RESTRICTIONS;
+    rows.push([
+      p.name,
+      p.number ?? "",
+      p.nickname || "",
+      yesNo(p.active),
+      yesNo(p.canQB !== false),
+      yesNo(p.canCenter !== false),
+      yesNo(p.captainEligible),
+      rolesCell([...restrictions.offense, ...restrictions.defense], catalog),
+      rolesCell(restrictions.never, catalog),
+      p.parentNote || "",
+    ]);
+  });
+  return toCsv(rows);
+}
+
+// Same columns as the Tally Board: sits, then one per offense and defense slot.
+function buildTallyCsv(roster, tallyRoles, catalog) {
+  const roles = [...tallyRoles.offense, ...tallyRoles.defense];
+  const rows = [["Name", "Number", "Sits", ...roles.map((role) => `${roleScope(role) === "offense" ? "Offense" : "Defense"} ${roleDisplayName(role, catalog)}`)]];
+  roster.forEach((p) => rows.push([p.name, p.number ?? "", p.sits, ...roles.map((role) => p.pos[role] || 0)]));
+  return toCsv(rows);
+}
+
+function buildHistoryCsv(history, byId, settings) {
+  const nameOf = (id) => byId.get(id)?.name || "?";
+  const rows = [["Series", "Phase", "Period", "Formation", "Result", "Score", "Lineup", "Sitting", "Out"]];
+  history.forEach((entry) => {
+    const side = sideOfPhase(entry.phase);
+    const formation = entryFormation(entry);
+    const catalog = buildRoleCatalog([formation]);
+    const lineup = Object.entries(entry[side] || {}).map(([role, id]) => `${roleDisplayName(role, catalog)}: ${nameOf(id)}`);
+    rows.push([
+      entry.series,
+      entry.phase,
+      entry.period ? periodLabel(settings, entry.period) : "",
+      formation.name,
+      entry.result ? seriesResultLabel(entry.result) : "",
+      entry.score ? `${entry.score.us}-${entry.score.them}` : "",
+      lineup.join("; "),
+      entry.sitIds.map(nameOf).join("; "),
+      (entry.outIds || []).map(nameOf).join("; "),
+    ]);
+  });
+  return toCsv(rows);
+}
+
+// Header aliases for signup sheets; matched case-insensitively with spaces and punctuation ignored.
+const ROSTER_CSV_COLUMNS = {
+  name: ["name", "player", "playername"],
+  number: ["number", "num", "no", "jersey", "jerseyno", "jerseynumber"],
+  nickname: ["nickname", "displayname", "goesby"],
+  parentNote: ["parentnote", "parent", "parentcontact", "contact"],
+  canQB: ["canqb", "qb"],
+  canCenter: ["cancenter", "center"],
+  allowed: ["allowedroles", "allowed", "roles", "positions"],
+  never: ["neverroles", "never"],
+};
+const CSV_TRUE = ["yes", "y", "true", "1", "x"];
+const CSV_FALSE = ["no", "n", "false", "0"];
+
+function csvHeaderKey(header) {
+  const compact = header.trim() === "#" ? "number" : header.toLowerCase().replace(/[^a-z0-9]/g, "");
+  return Object.keys(ROSTER_CSV_COLUMNS).find((key) => ROSTER_CSV_COLUMNS[key].includes(compact)) || null;
+}
+
+// A token matches a role key, its display name ("WR (L)") or its label ("WR" = both sides of the field).
+function matchCsvRoles(token, catalog) {
+  const wanted = token.trim().toLowerCase();
+  const roles = Object.keys(catalog);
+  const exact = roles.filter((role) => role.toLowerCase() === wanted || roleDisplayName(role, catalog).toLowerCase() === wanted);
+  if (exact.length) return exact;
+  return roles.filter((role) => (catalog[role].label || "").toLowerCase() === wanted);
+}
+
+/**
+ * Reads a roster CSV into preview rows. Each row is "new", "duplicate" (the name is already
+ * on the roster or earlier in the file) or "error"; only the columns present are applied.
+ */
+function parseRosterCsv(text, roster, catalog) {
+  const [header, ...body] = parseCsv(text);
+  if (!header) return { errors: ["The file is empty."], rows: [], columns: [] };
+  const columnIndex = {};
+  header.forEach((title, index) => {
+    const key = csvHeaderKey(title);
+    if (key && columnIndex[key] === undefined) columnIndex[key] = index;
+  });
+  if (columnIndex.name === undefined) return { errors: ["No Name column found in the first row."], rows: [], columns: [] };
+  const columns = Object.keys(columnIndex);
+  const seen = new Set();
+  const numberHolders = new Map(roster.filter((p) => p.number).map((p) => [jerseyKey(p.number), p.name]));
+  const rows = body.map((cells, index) => {
+    const cell = (key) => (columnIndex[key] === undefined ? undefined : unguardCsvCell((cells[columnIndex[key]] || "").trim()));
+    const warnings = [];
+    const flag = (key) => {
+      const value = cell(key);
+      if (value === undefined || value === "") return true;
+      if (CSV_TRUE.includes(value.toLowerCase())) return true;
+      if (CSV_FALSE.includes(value.toLowerCase())) return false;
+      warnings.push(`${key} "${value}" is not yes/no; using yes.`);
+      return true;
+    };
+    const roles = (key) => {
+      const value = cell(key);
+      if (!value) return [];
+      return [...new Set(value.split(/[;|/]/).filter((token) => token.trim()).flatMap((token) => {
+        const matches = matchCsvRoles(token, catalog);
+        if (!matches.length) warnings.push(`Unknown role "${token.trim()}".`);
+        return matches;
+      }))];
+    };
+    const name = cell("name");
+    const allowed = roles("allowed");
+    let number = cell("number") || null;
+    if (number && !JERSEY_NUMBER_PATTERN.test(number)) {
+      warnings.push(`Number "${number}" is not 1–3 digits; left blank.`);
+      number = null;
+    }
+    const holder = number && numberHolders.get(jerseyKey(number));
+    if (holder && holder.toLowerCase() !== (name || "").toLowerCase()) {
+      warnings.push(`#${number} is already ${holder}'s; left blank.`);
+      number = null;
+    }
+    if (number && name) numberHolders.set(jerseyKey(number), name);
+    const row = {
+      line: index + 2,
+      name,
+      number,
+      nickname: cell("nickname") || "",
+      parentNote: cell("parentNote") || "",
+      canQB: flag("canQB"),
+      canCenter: flag("canCenter"),
+      roleRestrictions: {
+        offense: allowed.filter((role) => roleScope(role) === "offense"),
+        defense: allowed.filter((role) => roleScope(role) === "defense"),
+        never: roles("never"),
+      },
+      warnings,
+    };
+    if (!name) return { ...row, status: "error", warnings: [...warnings, "Missing name."] };
+    const key = name.toLowerCase();
+    const existing = roster.find((p) => p.name.toLowerCase() === key);
+    const status = existing ? "duplicate" : seen.has(key) ? "repeat" : "new";
+    seen.add(key);
+    return { ...row, status, existingId: existing?.id || null };
+  });
+  return { errors: rows.length ? [] : ["No player rows below the header."], rows, columns };
+}
+
+// duplicates: "skip" leaves roster players alone, "update" overwrites the columns the file has.
+function mergeRosterCsv(state, rows, columns, duplicates) {
+  const has = (key) => columns.includes(key);
+  const fields = (row) => ({
+    ...(has("number") ? { number: row.number } : {}),
+    ...(has("nickname") ? { nickname: row.nickname } : {}),
+    ...(has("parentNote") ? { parentNote: row.parentNote } : {}),
+    ...(has("canQB") ? { canQB: row.canQB } : {}),
+    ...(has("canCenter") ? { canCenter: row.canCenter } : {}),
+    ...(has("allowed") || has("never") ? { roleRestrictions: normalizeRoleRestrictions(row.roleRestrictions) } : {}),
+  });
+  const updates = new Map(duplicates === "update"
+    ? rows.filter((row) => row.status === "duplicate").map((row) => [row.existingId, fields(row)])
+    : []);
+  const taken = new Set(state.roster.map((p) => p.name.toLowerCase()));
+  const added = markLateArrivals(
+    state.roster,
+    rows.filter((row) => row.status === "new" && !taken.has(row.name.toLowerCase())).map((row) => ({ ...createEmptyTallies(row.name), ...fields(row) })),
+    state.series,
+  );
+  const roster = [
+    ...state.roster.map((p) => (updates.has(p.id) ? { ...p, ...updates.get(p.id) } : p)),
+    ...added,
+  ].sort((a, b) => a.name.localeCompare(b.name));
+  return { ...state, roster, queue: buildQueueFromActive(roster, state.queue, state.settings) };
+}
+
+// ---------- Read-only share links ----------
+// The whole view travels in the URL fragment, so nothing reaches a server and the viewer's storage is never touched.
+const SHARE_VERSION = 1;
+const SHARE_PREFIX = "#share=";
+
+// Kept small so the link fits a QR code: roles are [side, label] and players are
+// [name, number, active, sits, counts per role], referenced elsewhere by index.
+function buildShareSnapshot(state, { teamName, tallyRoles, catalog }) {
+  const { roster, history, queue, settings } = state;
+  const index = new Map(roster.map((p, i) => [p.id, i]));
+  const ref = (id) => index.get(id) ?? -1;
+  const roles = [...tallyRoles.offense, ...tallyRoles.defense];
+  const last = history[history.length - 1];
+  const sitCount = Math.max(roster.filter(isAvailable).length - settings.teamSize, 0);
+  const scoreboard = state.scoreboard || createScoreboard();
+  let lastSeries = null;
+  if (last) {
+    const formation = entryFormation(last);
+    const labels = buildRoleCatalog([formation]);
+    const mapping = last[sideOfPhase(last.phase)] || {};
+    lastSeries = {
+      series: last.series,
+      phase: last.phase,
+      result: last.result || null,
+      formation: formation.name,
+      // The board as drawn: each cell is [label, player index] (-1 when open) or 0 for a gap.
+      board: formation.layout.map((row) => row.map((slot) => (slot ? [labels[slot]?.label || slot, mapping[slot] ? ref(mapping[slot]) : -1] : 0))),
+      sitting: last.sitIds.map(ref),
+    };
+  }
+  return {
+    v: SHARE_VERSION,
+    team: teamName,
+    game: state.gameNumber,
+    sharedAt: Date.now(),
+    score: { us: scoreboard.us, them: scoreboard.them, period: periodLabel(settings, scoreboard.period) },
+    roles: roles.map((role) => [roleScope(role), roleDisplayName(role, catalog)]),
+    players: roster.map((p) => [displayName(p), p.number, p.active ? 1 : 0, p.sits, roles.map((role) => p.pos[role] || 0)]),
+    last: lastSeries,
+    nextBench: queue.slice(0, sitCount).map(ref),
+  };
+}
+
+function shareUrl(snapshot) {
+  const { origin, pathname } = window.location;
+  return `${origin}${pathname}${SHARE_PREFIX}${LZString.compressToEncodedURIComponent(JSON.stringify(snapshot))}`;
+}
+
+// null when the URL is not a share link; otherwise { snapshot } or { error }.
+// Checks every part SharedGameView draws, so a damaged link reports an error instead of crashing it.
+function isValidShareSnapshot(snapshot) {
+  if (snapshot?.v !== SHARE_VERSION || !Array.isArray(snapshot.roles) || !snapshot.roles.every(Array.isArray)) return false;
+  if (!Array.isArray(snapshot.players) || !snapshot.players.every((player) => Array.isArray(player) && Array.isArray(player[4]))) return false;
+  if (!isPlainObject(snapshot.score) || typeof snapshot.score.us !== "number" || typeof snapshot.score.them !== "number") return false;
+  if (!Array.isArray(snapshot.nextBench)) return false;
+  const { last } = snapshot;
+  if (last === null || last === undefined) return true;
+  return isPlainObject(last) && Array.isArray(last.board) && last.board.every(Array.isArray) && Array.isArray(last.sitting);
+}
+
+function readShareFragment(hash) {
+  if (!hash?.startsWith(SHARE_PREFIX)) return null;
+  try {
+    const snapshot = JSON.parse(LZString.decompressFromEncodedURIComponent(hash.slice(SHARE_PREFIX.length)) || "null");
+    if (!isValidShareSnapshot(snapshot)) {
+      return { error: "This share link is damaged or from a different version of the app." };
+    }
+    return { snapshot };
+  } catch {
+    return { error: "This share link could not be read." };
+  }
+}
+
+// ---------- Printable reports ----------
+const REPORT_STYLES = `
+  * { box-sizing: border-box; }
+  body { font: 12px/1.35 system-ui, sans-serif; color: #111; margin: 24px; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  .meta { color: #555; margin: 0 0 12px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #999; padding: 3px 5px; text-align: center; white-space: nowrap; }
+  th:first-child, td:first-child { text-align: left; }
+  thead th { background: #eee; }
+  td.sit { background: #ddd; color: #555; font-style: italic; }
+  .small { font-size: 10px; color: #555; }
+  @media print {
+    @page { size: landscape; margin: 0.4in; }
+    body { margin: 0; }
+    tr { break-inside: avoid; }
+  }
+`;
+
+function escapeHtml(text) {
+  return String(text ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+}
+
+function reportDocument(title, body) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * One-page rotation sheet: a row per player and a column per series, each cell
+ * holding the role played or SIT. `series` is the game's history or its plan slots.
+ */
+function buildLineupCardHtml({ teamName, gameNumber, source, series, roster }) {
+  const players = roster.filter((p) => series.some((entry) => entry.playIds.includes(p.id) || entry.sitIds.includes(p.id) || entry.outIds?.includes(p.id)));
+  const columns = series.map((entry, index) => {
+    const side = sideOfPhase(entry.phase);
+    const formation = entryFormation(entry);
+    const catalog = buildRoleCatalog([formation]);
+    const roleOf = Object.fromEntries(Object.entries(entry[side] || {}).map(([role, id]) => [id, roleDisplayName(role, catalog)]));
+    return { entry, label: `${entry.series ?? index + 1}${entry.phase === "Offense" ? "O" : "D"}`, roleOf };
+  });
+  const head = columns.map(({ label, entry }) => `<th>${escapeHtml(label)}${entry.result ? `<div class="small">${escapeHtml(seriesResultLabel(entry.result))}</div>` : ""}</th>`).join("");
+  const rows = players.map((p) => {
+    const cells = columns.map(({ entry, roleOf }) => {
+      if (entry.sitIds.includes(p.id)) return `<td class="sit">SIT</td>`;
+      if (entry.outIds?.includes(p.id)) return `<td class="sit">OUT</td>`;
+      return `<td>${escapeHtml(roleOf[p.id] || (entry.playIds.includes(p.id) ? "Field" : ""))}</td>`;
+    }).join("");
+    const sits = series.filter((entry) => entry.sitIds.includes(p.id)).length;
+    return `<tr><td>${escapeHtml(playerLabel(p))}</td>${cells}<td>${sits}</td></tr>`;
+  }).join("\n");
+  const title = `${teamName} – Game ${gameNumber} lineup card`;
+  return reportDocument(title, `
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${source === "plan" ? "Planned rotation" : "Series played"} • ${series.length} series • printed ${escapeHtml(new Date().toLocaleString())}</p>
+<table>
+<thead><tr><th>Player</th>${head}<th>Sits</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`);
+}
+
+// Per-player minutes for parents: sits and snaps by role from the tallies, percentage from history.
+function buildPlayerReportHtml({ teamName, gameNumber, history, roster, catalog }) {
+  const families = [...new Set(roster.flatMap((p) => Object.entries(p.pos).filter(([, n]) => n).map(([role]) => roleGroup(role, catalog))))].sort();
+  const rows = roster.filter((p) => p.active || gameSeriesCount(p) > 0).map((p) => {
+    const played = history.filter((entry) => entry.playIds.includes(p.id)).length;
+    const snaps = {};
+    Object.entries(p.pos).forEach(([role, n]) => {
+      if (!n) return;
+      const family = roleGroup(role, catalog);
+      snaps[family] = (snaps[family] || 0) + n;
+    });
+    const pct = history.length ? Math.round((played / history.length) * 100) : 0;
+    return `<tr><td>${escapeHtml(playerLabel(p))}</td><td>${played}</td><td>${p.sits}</td><td>${pct}%</td>${families.map((family) => `<td>${snaps[family] || ""}</td>`).join("")}</tr>`;
+  }).join("\n");
+  const title = `${teamName} – Game ${gameNumber} player report`;
+  return reportDocument(title, `
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${history.length} series • printed ${escapeHtml(new Date().toLocaleString())}</p>
+<table>
+<thead><tr><th>Player</th><th>Played</th><th>Sat</th><th>% played</th>${families.map((family) => `<th>${escapeHtml(family)}</th>`).join("")}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`);
+}
+
+// Post-game check on development goals, plus how many snaps came at each player's preferred positions.
+function buildGoalsReportHtml({ teamName, gameNumber, roster, catalog }) {
+  const results = goalResults(roster, catalog);
+  const goalRows = results.map((goal) => (
+    `<tr><td>${escapeHtml(goal.name)}</td><td>${goal.target}+ at ${escapeHtml(familyKeyLabel(goal.key))}</td><td>${goal.snaps}</td><td>${goal.met ? "✓ met" : "✕ not met"}</td></tr>`
+  )).join("\n");
+  const preferenceRows = roster.filter((p) => p.preferredRoles?.length && gameSeriesCount(p) > 0).map((p) => {
+    const total = Object.values(p.pos).reduce((sum, n) => sum + n, 0);
+    const preferred = p.preferredRoles.reduce((sum, key) => sum + familySnaps(p, key, catalog), 0);
+    return `<tr><td>${escapeHtml(playerLabel(p))}</td><td>${escapeHtml(p.preferredRoles.map(familyKeyLabel).join(", "))}</td><td>${preferred} of ${total}</td></tr>`;
+  }).join("\n");
+  const met = results.filter((goal) => goal.met).length;
+  const title = `${teamName} – Game ${gameNumber} development goals`;
+  return reportDocument(title, `
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${met} of ${results.length} goals met • printed ${escapeHtml(new Date().toLocaleString())}</p>
+<table>
+<thead><tr><th>Player</th><th>Goal</th><th>Snaps</th><th>Result</th></tr></thead>
+<tbody>
+${goalRows || `<tr><td colspan="4">No development goals set.</td></tr>`}
+</tbody>
+</table>
+${preferenceRows ? `
+<h1>Preferred positions</h1>
+<table>
+<thead><tr><th>Player</th><th>Prefers</th><th>Snaps there</th></tr></thead>
+<tbody>
+${preferenceRows}
+</tbody>
+</table>` : ""}`);
+}
+
+function QrCode({ text, size = 280 }) {
+  const qr = useMemo(() => {
+    try {
+      return QRCode.create(text, { errorCorrectionLevel: "L" }).modules;
+    } catch {
+      return null; // too long for any QR version
+    }
+  }, [text]);
+  if (!qr) return <p className="text-xs text-amber-200">Too much to fit in a QR code. Copy the link instead.</p>;
+  const quiet = 2;
+  const dimension = qr.size + quiet * 2;
+  let path = "";
+  for (let row = 0; row < qr.size; row++) {
+    for (let col = 0; col < qr.size; col++) {
+      if (qr.get(row, col)) path += `M${col + quiet} ${row + quiet}h1v1h-1z`;
+    }
+  }
+  return (
+    <svg role="img" aria-label="QR code for the share link" width={size} height={size} viewBox={`0 0 ${dimension} ${dimension}`} shapeRendering="crispEdges" className="h-auto max-w-full rounded-lg">
+      <rect width={dimension} height={dimension} fill="#fff" />
+      <path d={path} fill="#000" />
+    </svg>
+  );
+}
+
+// What a share link opens: the coach's snapshot, with no controls and no storage writes.
+function SharedGameView({ snapshot, error }) {
+  const shell = "min-h-screen bg-gray-950 text-gray-100 p-3 space-y-3 max-w-3xl mx-auto";
+  const ownAppLink = (
+    <a className="inline-block rounded-xl border border-white/30 bg-white/10 px-3 py-1 text-sm" href={window.location.pathname}>Open my own Flag Coach</a>
+  );
+  if (error) {
+    return (
+      <div className={shell}>
+        <p className="rounded-2xl border border-red-400/40 bg-red-500/10 p-3 text-sm text-red-100">{error}</p>
+        {ownAppLink}
+      </div>
+    );
+  }
+  const { team, game, score, roles, players, last, nextBench, sharedAt } = snapshot;
+  const nameOf = (index) => {
+    const [name, number] = players[index] || ["?"];
+    return number ? `#${number} ${name}` : name;
+  };
+  const columns = last ? last.board.reduce((max, row) => Math.max(max, row.length), 0) : 0;
+  const sideRoles = (side) => roles.map(([scope, label], index) => ({ scope, label, index })).filter((role) => role.scope === side);
+  const tallyColumns = [...sideRoles("offense"), ...sideRoles("defense")];
+  const offenseCount = sideRoles("offense").length;
+  const tag = "inline-flex items-center rounded-xl border border-white/20 bg-white/10 px-2 py-1 text-sm";
+
+  return (
+    <div className={shell}>
+      <header className="space-y-1">
+        <h1 className="text-xl font-bold">{team} – Game {game}</h1>
+        <div className="text-sm text-gray-300">Us {score.us} – {score.them} Them • {score.period}</div>
+        <div className="rounded-xl border border-amber-400/40 bg-amber-500/10 px-3 py-1 text-xs text-amber-100">
+          Read-only view shared {new Date(sharedAt).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })}. Ask the coach for a new link after later series.
+        </div>
+      </header>
+
+      <section className="rounded-2xl border border-white/10 bg-white/5 p-3">
+        {last ? (
+          <>
+            <div className="mb-3 font-semibold">
+              Series {last.series} – {last.phase} <span className="text-sm font-normal text-gray-300">({last.formation}{last.result ? `, ${seriesResultLabel(last.result)}` : ""})</span>
+            </div>
+            <div className="space-y-2">
+              {last.board.map((row, rowIndex) => (
+                <div key={rowIndex} className="grid gap-2" style={{ gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))` }}>
+                  {row.map((cell, slotIndex) => (cell ? (
+                    <div key={slotIndex} className="flex min-h-[64px] flex-col items-center justify-center rounded-xl bg-white/10 px-2 py-2 text-center">
+                      <span className="text-xs font-semibold uppercase tracking-wide text-gray-300">{cell[0]}</span>
+                      <span className="mt-1 text-sm">{cell[1] >= 0 ? nameOf(cell[1]) : "(open)"}</span>
+                    </div>
+                  ) : (
+                    <div key={slotIndex} aria-hidden="true" />
+                  )))}
+                </div>
+              ))}
+            </div>
+            <div className="mt-3 mb-1 font-semibold">Sitting this series</div>
+            <div className="flex flex-wrap gap-2">
+              {last.sitting.length ? last.sitting.map((index) => (<span key={index} className={tag}>{nameOf(index)}</span>)) : <span className="text-sm text-gray-300">(none)</span>}
+            </div>
+          </>
+        ) : (
+          <div className="text-sm text-gray-300">No series run yet this game.</div>
+        )}
+      </section>
+
+      <section className="rounded-2xl border border-white/10 bg-white/5 p-3">
+        <div className="mb-1 font-semibold">Next bench (preview)</div>
+        <div className="flex flex-wrap gap-2">
+          {nextBench.length ? nextBench.map((index) => (<span key={index} className={tag}>{nameOf(index)}</span>)) : <span className="text-sm text-gray-300">(no one sits)</span>}
+        </div>
+      </section>
+
+      <section className="rounded-2xl border border-white/10 bg-white/5 p-3">
+        <div className="mb-2 text-lg font-semibold">Tally Board</div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full border-collapse text-xs sm:text-sm">
+            <thead>
+              <tr className="text-left">
+                <th className="p-2">Player</th>
+                <th className="p-2 border-l border-white/10">Sits</th>
+                {offenseCount > 0 && <th className="p-2 border-l border-white/10 text-center" colSpan={offenseCount}>Offense</th>}
+                {tallyColumns.length > offenseCount && <th className="p-2 border-l border-white/10 text-center" colSpan={tallyColumns.length - offenseCount}>Defense</th>}
+              </tr>
+              <tr className="text-left text-[11px] uppercase tracking-wide text-gray-300">
+                <th className="p-2"></th>
+                <th className="p-2 border-l border-white/10"></th>
+                {tallyColumns.map((role, idx) => (
+                  <th key={role.index} className={"p-2" + (idx === 0 || idx === offenseCount ? " border-l border-white/10" : "")}>{role.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {players.map(([, , active, sits, counts], index) => (
+                <tr key={index} className={!active ? "opacity-60" : undefined}>
+                  <td className="p-2 whitespace-nowrap">{nameOf(index)}</td>
+                  <td className="p-2 border-l border-white/10">{sits}</td>
+                  {tallyColumns.map((role, idx) => (
+                    <td key={role.index} className={"p-2" + (idx === 0 || idx === offenseCount ? " border-l border-white/10" : "")}>{counts[role.index] || 0}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      {ownAppLink}
+    </div>
+  );
+}
+
+function resizeLayout(layout, rows, columns) {
+  return Array.from({ length: rows }, (_, rowIndex) => (
+    Array.from({ length: columns }, (_, colIndex) => layout[rowIndex]?.[colIndex] || null)
+  ));
+}
+
+// Edits one custom formation: its positions and where each sits on the board grid.
+function FormationEditor({ initial, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => ({
+    ...initial,
+    layout: resizeLayout(initial.layout, Math.max(1, initial.layout.length), Math.max(1, ...initial.layout.map((row) => row.length))),
+  }));
+  const [placingKey, setPlacingKey] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const rows = draft.layout.length;
+  const columns = draft.layout[0]?.length || 1;
+  const placed = new Set(draft.layout.flat().filter(Boolean));
+  const labelFor = (key) => {
+    const pos = draft.positions.find((p) => p.key === key);
+    return pos?.label || pos?.family || "?";
+  };
+
+  function updatePosition(key, patch) {
+    setDraft((d) => ({ ...d, positions: d.positions.map((pos) => (pos.key === key ? { ...pos, ...patch } : pos)) }));
+  }
+  function addPosition() {
+    const key = `new-${crypto.randomUUID()}`;
+    setDraft((d) => ({ ...d, positions: [...d.positions, { key, label: "", family: "", isNew: true }] }));
+    setPlacingKey(key);
+  }
+  function removePosition(key) {
+    setDraft((d) => ({
+      ...d,
+      positions: d.positions.filter((pos) => pos.key !== key),
+      layout: d.layout.map((row) => row.map((cell) => (cell === key ? null : cell))),
+    }));
+    if (placingKey === key) setPlacingKey(null);
+  }
+  function resize(nextRows, nextColumns) {
+    const clamp = (n) => Math.min(FORMATION_MAX_COLUMNS, Math.max(1, Math.floor(+n || 1)));
+    setDraft((d) => ({ ...d, layout: resizeLayout(d.layout, clamp(nextRows), clamp(nextColumns)) }));
+  }
+  // With a position picked, a click puts it in that cell; otherwise a click clears the cell.
+  function clickCell(rowIndex, colIndex) {
+    setDraft((d) => ({
+      ...d,
+      layout: d.layout.map((row, r) => row.map((cell, c) => {
+        if (r === rowIndex && c === colIndex) return placingKey && cell !== placingKey ? placingKey : null;
+        return placingKey && cell === placingKey ? null : cell;
+      })),
+    }));
+    setPlacingKey(null);
+  }
+  function save() {
+    const result = sanitizeFormation(draft);
+    if (result.errors.length) { setErrors(result.errors); return; }
+    onSave(result.formation);
+  }
+
+  const inputClass = "rounded border border-white/20 bg-transparent px-2 py-1 text-sm text-gray-100";
+  return (
+    <div className="space-y-3 text-sm">
+      <label className="flex flex-col gap-1 text-xs text-gray-300">
+        Name
+        <input className={inputClass} value={draft.name} onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))} />
+      </label>
+      <div className="space-y-2">
+        <div className="text-xs text-gray-300">Positions (family groups slots for the no-repeat rule)</div>
+        {draft.positions.map((pos) => (
+          <div key={pos.key} className="flex flex-wrap items-center gap-2 rounded-xl bg-white/10 p-2">
+            <input aria-label="Label" placeholder="Label" className={`${inputClass} w-20`} value={pos.label}
+              onChange={(e) => updatePosition(pos.key, { label: e.target.value })} />
+            <input aria-label="Family" placeholder="Family" className={`${inputClass} w-20`} value={pos.family}
+              onChange={(e) => updatePosition(pos.key, { family: e.target.value })} />
+            <select aria-label="Needs" className="rounded border border-white/20 bg-gray-900 px-2 py-1 text-sm" value={pos.ability || ""}
+              onChange={(e) => updatePosition(pos.key, { ability: e.target.value || undefined })}>
+              {POSITION_ABILITY_OPTIONS.map((option) => (<option key={option.value} value={option.value}>{option.label}</option>))}
+            </select>
+            <button type="button" aria-pressed={placingKey === pos.key}
+              className={`rounded-lg border px-2 py-1 text-xs ${placingKey === pos.key ? "border-emerald-400/60 bg-emerald-500/20 text-emerald-100" : "border-white/30 bg-white/10"}`}
+              onClick={() => setPlacingKey((current) => (current === pos.key ? null : pos.key))}>
+              {placed.has(pos.key) ? "move" : "place"}
+            </button>
+            {!placed.has(pos.key) && <span className="text-xs text-amber-200">not on grid</span>}
+            <button type="button" className="ml-auto rounded-lg border border-white/30 bg-white/10 px-2 py-1 text-xs" onClick={() => removePosition(pos.key)}>remove</button>
+          </div>
+        ))}
+        <button type="button" className="rounded-xl border border-white/30 bg-white/10 px-3 py-1 text-xs" onClick={addPosition}>Add position</button>
+      </div>
+      <div className="space-y-2">
+        <div className="flex flex-wrap items-end gap-3 text-xs text-gray-300">
+          <label className="flex flex-col gap-1">
+            Rows
+            <input type="number" min={1} max={FORMATION_MAX_COLUMNS} className={`${inputClass} w-16`} value={rows} onChange={(e) => resize(e.target.value, columns)} />
+          </label>
+          <label className="flex flex-col gap-1">
+            Columns
+            <input type="number" min={1} max={FORMATION_MAX_COLUMNS} className={`${inputClass} w-16`} value={columns} onChange={(e) => resize(rows, e.target.value)} />
+          </label>
+          <span>{placingKey ? `Tap a cell to place ${labelFor(placingKey)}.` : "Pick a position, then tap a cell. Tap a filled cell to clear it."}</span>
+        </div>
+        <div className="space-y-1">
+          {draft.layout.map((row, rowIndex) => (
+            <div key={rowIndex} className="grid gap-1" style={{ gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))` }}>
+              {row.map((cell, colIndex) => (
+                <button key={colIndex} type="button" onClick={() => clickCell(rowIndex, colIndex)}
+                  className={`min-h-[40px] rounded-lg border text-xs ${cell ? "border-white/30 bg-white/15 font-semibold" : "border-dashed border-white/15 text-gray-500"}`}>
+                  {cell ? labelFor(cell) : "·"}
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+        <div className="text-xs text-gray-400">Positions left off the grid are added in a new row when you save.</div>
+      </div>
+      {errors.length > 0 && (
+        <ul className="space-y-1 rounded-xl border border-red-400/40 bg-red-500/10 p-2 text-xs text-red-200">
+          {errors.map((error) => (<li key={error}>{error}</li>))}
+        </ul>
+      )}
+      <div className="flex justify-end gap-2">
+        <button type="button" className="rounded-xl border border-white/30 bg-white/5 px-3 py-1" onClick={onCancel}>Cancel</button>
+        <button type="button" className="rounded-xl border border-emerald-400/60 bg-emerald-500/20 px-3 py-1 text-emerald-100" onClick={save}>Save formation</button>
+      </div>
+    </div>
+  );
+}
+
+// Owns the ticking while the clock runs, so only the time re-renders. `children(ms)` draws it.
+function GameClock({ clock, children }) {
+  const [now, setNow] = useState(() => Date.now());
+  const endsAt = clock?.endsAt;
+  useEffect(() => {
+    if (!endsAt) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [endsAt]);
+  // remainingMs still holds the time left at the last start, which caps a stale `now` on the first frame.
+  const remaining = endsAt ? Math.min(clock.remainingMs, clockRemaining(clock, now)) : clockRemaining(clock, now);
+  return children(remaining);
+}
+
+function PlayerAvatar({ player, className = "h-8 w-8 text-xs" }) {
+  if (player.avatar) return <img src={player.avatar} alt="" className={`${className} shrink-0 rounded-full object-cover`} />;
+  return (
+    <span aria-hidden="true" className={`${className} ${avatarColor(player.id || player.name)} inline-flex shrink-0 items-center justify-center rounded-full font-semibold text-white`}>
+      {playerInitials(player)}
+    </span>
+  );
+}
+
+// Add or edit one player's profile. `families` lists the position families per side for preferences.
+function ProfileEditor({ initial, roster, families, onSave, onCancel }) {
+  const [draft, setDraft] = useState(initial);
+  const [errors, setErrors] = useState([]);
+  const update = (patch) => setDraft((d) => ({ ...d, ...patch }));
+
+  function togglePreferred(key) {
+    setDraft((d) => ({
+      ...d,
+      preferredRoles: d.preferredRoles.includes(key) ? d.preferredRoles.filter((k) => k !== key) : [...d.preferredRoles, key],
+    }));
+  }
+  function addGoal() {
+    const side = families.offense.length ? "offense" : "defense";
+    const family = families[side][0];
+    if (!family) return;
+    setDraft((d) => ({ ...d, goals: [...d.goals, { id: crypto.randomUUID(), key: familyKey(side, family), target: 2 }] }));
+  }
+  function updateGoal(id, patch) {
+    setDraft((d) => ({ ...d, goals: d.goals.map((goal) => (goal.id === id ? { ...goal, ...patch } : goal)) }));
+  }
+  function pickPhoto(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    readAvatarFile(file, (avatar) => update({ avatar }), (error) => setErrors([error]));
+  }
+  function save() {
+    const problems = validatePlayerProfile(draft, roster);
+    if (problems.length) { setErrors(problems); return; }
+    onSave(draft);
+  }
+
+  const inputClass = "rounded border border-white/20 bg-transparent px-2 py-1 text-sm text-gray-100";
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex items-center gap-3">
+        <PlayerAvatar player={{ ...draft, name: draft.name || "?" }} className="h-16 w-16 text-lg" />
+        <div className="flex flex-wrap gap-2 text-xs">
+          <label className="cursor-pointer rounded-lg border border-white/30 bg-white/10 px-2 py-1">
+            {draft.avatar ? "Change photo" : "Add photo"}
+            <input type="file" accept="image/*" className="hidden" onChange={pickPhoto} />
+          </label>
+          {draft.avatar && (
+            <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={() => update({ avatar: null })}>Use initials</button>
+          )}
+        </div>
+      </div>
+      <div className="grid grid-cols-[1fr_5rem] gap-2">
+        <label className="flex flex-col gap-1 text-xs text-gray-300">
+          Name
+          <input className={inputClass} value={draft.name} onChange={(e) => update({ name: e.target.value })} autoFocus={!draft.id} />
+        </label>
+        <label className="flex flex-col gap-1 text-xs text-gray-300">
+          Jersey #
+          <input className={inputClass} inputMode="numeric" value={draft.number} onChange={(e) => update({ number: e.target.value })} />
+        </label>
+      </div>
+      <label className="flex flex-col gap-1 text-xs text-gray-300">
+        Nickname (shown on the board instead of the name)
+        <input className={inputClass} value={draft.nickname} onChange={(e) => update({ nickname: e.target.value })} />
+      </label>
+      <div className="space-y-1 text-xs">
+        <div className="text-gray-300">Preferred positions</div>
+        {["offense", "defense"].map((side) => (
+          <div key={side} className="flex flex-wrap items-center gap-2">
+            <span className="w-16 font-semibold capitalize">{side}</span>
+            {families[side].map((family) => {
+              const key = familyKey(side, family);
+              const selected = draft.preferredRoles.includes(key);
+              return (
+                <button key={key} type="button" aria-pressed={selected} onClick={() => togglePreferred(key)}
+                  className={`rounded-lg border px-2 py-1 ${selected ? "border-emerald-400/60 bg-emerald-500/20 text-emerald-100" : "border-white/20 bg-white/5 text-gray-300"}`}>
+                  {family}
+                </button>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+      <div className="space-y-1 text-xs">
+        <div className="text-gray-300">Development goals (snaps per game)</div>
+        {draft.goals.map((goal) => {
+          const known = ["offense", "defense"].some((side) => families[side].some((family) => familyKey(side, family) === goal.key));
+          return (
+            <div key={goal.id} className="flex items-center gap-2">
+              <span>At least</span>
+              <input type="number" min={1} max={GOAL_TARGET_MAX} className={`${inputClass} w-14`} value={goal.target}
+                onChange={(e) => updateGoal(goal.id, { target: Math.min(GOAL_TARGET_MAX, Math.max(1, Number(e.target.value) || 1)) })} />
+              <span>snaps at</span>
+              <select className="rounded border border-white/20 bg-gray-900 px-2 py-1 text-sm text-gray-100" value={goal.key} onChange={(e) => updateGoal(goal.id, { key: e.target.value })}>
+                {!known && <option value={goal.key}>{familyKeyLabel(goal.key)}</option>}
+                {["offense", "defense"].map((side) => (
+                  <optgroup key={side} label={side}>
+                    {families[side].map((family) => (<option key={family} value={familyKey(side, family)}>{family}</option>))}
+                  </optgroup>
+                ))}
+              </select>
+              <button type="button" className="rounded-lg border border-white/20 bg-white/5 px-2 py-1" aria-label="Remove goal"
+                onClick={() => setDraft((d) => ({ ...d, goals: d.goals.filter((g) => g.id !== goal.id) }))}>✕</button>
+            </div>
+          );
+        })}
+        <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={addGoal}>+ Add goal</button>
+      </div>
+      <label className="flex flex-col gap-1 text-xs text-gray-300">
+        Parent contact / note
+        <textarea rows={2} className={inputClass} value={draft.parentNote} onChange={(e) => update({ parentNote: e.target.value })} />
+      </label>
+      {errors.length > 0 && (
+        <ul className="space-y-1 rounded-xl border border-red-400/40 bg-red-500/10 p-2 text-xs text-red-200">
+          {errors.map((error) => (<li key={error}>{error}</li>))}
+        </ul>
+      )}
+      <div className="flex justify-end gap-2">
+        <button type="button" className="rounded-xl border border-white/30 bg-white/5 px-3 py-1" onClick={onCancel}>Cancel</button>
+        <button type="button" className="rounded-xl border border-emerald-400/60 bg-emerald-500/20 px-3 py-1 text-emerald-100" onClick={save}>{draft.id ? "Save profile" : "Add player"}</button>
+      </div>
+    </div>
+  );
 }
 
-function normalizeHistoryEntries(history) {
-  if (!Array.isArray(history)) return [];
-  return history.map((entry) => {
-    if (!entry) return entry;
-    const mapRoles = (mapping) => {
-      if (!mapping) return mapping;
-      const next = {};
-      Object.entries(mapping).forEach(([role, pid]) => {
-        const migrated = migrateRoleKey(role);
-        next[migrated] = pid;
-      });
-      return next;
-    };
+export default function App() {
+  const [shared, setShared] = useState(() => readShareFragment(window.location.hash));
 
-    return {
-      ...entry,
-      offense: mapRoles(entry.offense),
-      defense: mapRoles(entry.defense),
-    };
-  });
+  useEffect(() => {
+    const onHashChange = () => setShared(readShareFragment(window.location.hash));
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  if (shared) return <SharedGameView {...shared} />;
+  return <TeamBook />;
 }
 
-function loadInitialState() {
-  const baseRoster = buildInitialRoster().map((p) => normalizePlayer(p));
-  const baseSettings = {
-    teamSize: 7,
-    noRepeatWindow: 1, // block same role in consecutive series
-    assignment: "randBalanced", // random among balanced group
-  };
-  const baseState = {
-    roster: baseRoster,
-    queue: buildQueueFromActive(baseRoster),
-    series: 0,
-    history: [],
-    settings: baseSettings,
-    recentRoleByPlayer: {},
-    benchMeta: { ...DEFAULT_BENCH_META },
-    lastQB: null,
-    gameNumber: 1,
-    seasonHistory: [],
-    ui: { showAttendance: false, showSettings: false },
-  };
+// The coach's own app: every team saved on this device.
+function TeamBook() {
+  const [registry, setRegistry] = useState(loadTeamRegistry);
+  const activeTeam = registry.teams.find((team) => team.id === registry.activeTeamId) || registry.teams[0];
 
-  try {
-    const raw = localStorage.getItem(LS_KEY);
-    if (raw) {
-      const data = JSON.parse(raw);
-      const { captainQueue: _discardQueue, captainIndex: _discardIndex, captainPlan: _legacyCaptain, ...restData } = data || {};
-      const storedRoster = (restData.roster || []).map((p) => normalizePlayer(p));
-      const activeIds = storedRoster.filter((p) => p.active).map((p) => p.id);
-      const storedQueue = (restData.queue || []).filter((id) => activeIds.includes(id));
-      const normalizedRecent = normalizeRecentMap(restData.recentRoleByPlayer);
-      const normalizedRoster = storedRoster.length ? storedRoster : baseRoster;
-      const queueFromStorage = buildQueueFromActive(normalizedRoster, storedQueue);
-      return {
-        ...baseState,
-        ...restData,
-        roster: normalizedRoster,
-        queue: queueFromStorage.length ? queueFromStorage : baseState.queue,
-        settings: { ...baseSettings, ...(restData.settings || {}) },
-        history: normalizeHistoryEntries(restData.history || []),
-        recentRoleByPlayer: normalizedRecent,
-        seasonHistory: restData.seasonHistory || [],
-        benchMeta: restData.benchMeta ? { ...DEFAULT_BENCH_META, ...restData.benchMeta } : baseState.benchMeta,
-      };
+  useEffect(() => {
+    localStorage.setItem(TEAMS_KEY, JSON.stringify(registry));
+  }, [registry]);
+
+  function switchTeam(teamId) {
+    setRegistry((r) => ({ ...r, activeTeamId: teamId }));
+  }
+  function createTeam() {
+    const name = prompt("Team name");
+    if (!name) return;
+    const team = createTeamRecord(name);
+    setRegistry((r) => ({ activeTeamId: team.id, teams: [...r.teams, team] }));
+  }
+  function renameTeam(teamId) {
+    const current = registry.teams.find((team) => team.id === teamId);
+    const name = prompt("Team name", current?.name || "");
+    if (!name) return;
+    setRegistry((r) => ({ ...r, teams: r.teams.map((team) => (team.id === teamId ? { ...team, name } : team)) }));
+  }
+  function duplicateTeam(teamId) {
+    const source = registry.teams.find((team) => team.id === teamId);
+    if (!source) return;
+    const copy = createTeamRecord(`${source.name} (copy)`);
+    const raw = localStorage.getItem(source.storageKey);
+    if (raw) localStorage.setItem(copy.storageKey, raw);
+    setRegistry((r) => ({ activeTeamId: copy.id, teams: [...r.teams, copy] }));
+  }
+  function deleteTeam(teamId) {
+    const target = registry.teams.find((team) => team.id === teamId);
+    if (!target) return;
+    if (registry.teams.length <= 1) {
+      alert("Keep at least one team.");
+      return;
     }
-  } catch {}
+    if (!confirm(`Delete ${target.name} and all of its games?`)) return;
+    localStorage.removeItem(target.storageKey);
+    localStorage.removeItem(backupStorageKey(target.storageKey));
+    setRegistry((r) => {
+      const teams = r.teams.filter((team) => team.id !== teamId);
+      return { activeTeamId: r.activeTeamId === teamId ? teams[0].id : r.activeTeamId, teams };
+    });
+  }
 
-  return baseState;
+  return (
+    <TeamCoach
+      key={activeTeam.id}
+      team={activeTeam}
+      teams={registry.teams}
+      teamActions={{ switchTeam, createTeam, renameTeam, duplicateTeam, deleteTeam }}
+    />
+  );
 }
 
-export default function App() {
-  const [state, setState] = useState(loadInitialState);
+function TeamCoach({ team, teams, teamActions }) {
+  const [state, setState] = useState(() => loadInitialState(team.storageKey));
   const [showTally, setShowTally] = useState(false);
+  const [showPlayTime, setShowPlayTime] = useState(false);
+  const [rolesEditorId, setRolesEditorId] = useState(null);
+  const [lockForm, setLockForm] = useState(null); // { playerId, type, role, count } while a lock is being added
+  const [showPlan, setShowPlan] = useState(false);
+  const [showSeason, setShowSeason] = useState(false);
+  const [showTeams, setShowTeams] = useState(false); // not in ui: that is saved per team, and switching teams remounts this
+  const [showStatPad, setShowStatPad] = useState(false);
+  const [statsView, setStatsView] = useState(null); // null (hidden), "game" or "season"
+  const [statsByRole, setStatsByRole] = useState(false);
+  const [statsGame, setStatsGame] = useState(""); // "" for this game, or the index of an archived game
+  const [importPreview, setImportPreview] = useState(null);
+  const [rosterCsv, setRosterCsv] = useState(null); // { fileName, errors, rows, columns, duplicates }
+  const [backups, setBackups] = useState(() => loadBackups(team.storageKey));
+  const [backupFailed, setBackupFailed] = useState(false); // the reset dialog then asks before going on without one
+  const [planForm, setPlanForm] = useState(DEFAULT_PLAN_FORM);
+  const [formationSide, setFormationSide] = useState("offense");
+  const [formationDraft, setFormationDraft] = useState(null);
+  const [pickedSpot, setPickedSpot] = useState(null); // tap-to-swap fallback for touch screens
+  const [profileDraft, setProfileDraft] = useState(null); // profile being added or edited
+  const [share, setShare] = useState(null); // { url, series, copied } while the Share sheet is open
+  const shareInputRef = useRef(null);
   const {
-    roster, queue, series, history, settings, recentRoleByPlayer,
-    benchMeta,
+    roster, queue, series, history, settings,
+    benchRules, plan, captains,
     gameNumber, seasonHistory, ui,
   } = state;
+  const scoreboard = state.scoreboard || createScoreboard();
 
   const byId = useMemo(() => {
     const m = new Map();
@@ -285,79 +3435,27 @@ export default function App() {
   }, [roster]);
 
   // Derived
-  const activePlayers = useMemo(() => roster.filter((p) => p.active), [roster]);
+  const activePlayers = useMemo(() => roster.filter(isAvailable), [roster]);
   const totalActive = activePlayers.length;
   const sitCount = Math.max(totalActive - settings.teamSize, 0);
+  const currentCaptainIds = captains?.gameNumber === gameNumber ? captains.ids : [];
+  const benchRuleWarnings = useMemo(() => benchRuleAttendanceWarnings(benchRules || [], byId), [benchRules, byId]);
   
-  const isAtticusId = (id) => {
-    const player = byId.get(id);
-    return player?.name?.toLowerCase() === "atticus";
-  };
-
-  function prioritizeRestrictedPlayers(pool, role) {
-    if (!pool?.length) return pool;
-
-    const isOffenseRole = OFFENSE_ROLE_SET.has(role);
-    const relevantRoles = isOffenseRole ? OFFENSE_ROLES : DEFENSE_ROLES;
-    const scopeKey = isOffenseRole ? "offense" : "defense";
-
-    const restricted = [];
-    const unrestricted = [];
-
-    pool.forEach((id) => {
-      const player = byId.get(id);
-      if (!player) return;
-
-      const restrictions = PLAYER_ROLE_RESTRICTIONS[player.name];
-      if (!restrictions) {
-        unrestricted.push(id);
-        return;
-      }
-
-      const allowed = restrictions[scopeKey];
-      if (!Array.isArray(allowed) || !allowed.length) {
-        unrestricted.push(id);
-        return;
-      }
-
-      const allowedSet = new Set(allowed);
-      const allowedRelevantCount = relevantRoles.filter((roleKey) => allowedSet.has(roleKey)).length;
-
-      if (allowedRelevantCount > 0 && allowedRelevantCount < relevantRoles.length) {
-        restricted.push(id);
-      } else {
-        unrestricted.push(id);
-      }
-    });
-
-    if (!restricted.length) {
-      return rngShuffle(pool);
-    }
-
-    return [...rngShuffle(restricted), ...rngShuffle(unrestricted)];
-  }
-
-  function prioritizeAtticus(pool) {
-    if (!pool?.length) return pool;
-    const atticusIds = [];
-    const others = [];
-    pool.forEach((id) => {
-      if (isAtticusId(id)) {
-        atticusIds.push(id);
-      } else {
-        others.push(id);
-      }
-    });
-    if (atticusIds.length) {
-      return [...atticusIds, ...rngShuffle(others)];
-    }
-    return rngShuffle(pool);
-  }
+  // Stop the game clock at 0:00. The ticking display is GameClock's, so this screen doesn't re-render every tick.
+  const clockEndsAt = state.clock?.endsAt;
+  useEffect(() => {
+    if (!clockEndsAt) return undefined;
+    const timer = setTimeout(() => {
+      setState((s) => (s.clock?.endsAt === clockEndsAt ? { ...s, clock: { remainingMs: 0, endsAt: null } } : s));
+    }, Math.max(0, clockEndsAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [clockEndsAt]);
 
   // Persist
   useEffect(() => {
-    localStorage.setItem(LS_KEY, JSON.stringify(state));
-  }, [state]);
+    const { timeline: _timeline, ...persisted } = state;
+    localStorage.setItem(team.storageKey, JSON.stringify(persisted));
+  }, [state, team.storageKey]);
 
   // Keep queue limited to active players (preserve order among actives)
   useEffect(() => {
@@ -365,29 +3463,89 @@ export default function App() {
     const filtered = queue.filter((id) => activeIds.includes(id));
     if (filtered.length !== queue.length || filtered.length !== activeIds.length) {
       const missing = activeIds.filter((id) => !filtered.includes(id));
-      const updated = missing.length ? [...filtered, ...rngShuffle(missing)] : filtered;
+      const updated = missing.length
+        ? [...filtered, ...orderNewQueueEntries(missing, activePlayers, { seasonTiebreak: settings.seasonTiebreak })]
+        : filtered;
       setState((s) => ({ ...s, queue: updated }));
     }
-  }, [activePlayers, queue]);
+  }, [activePlayers, queue, settings.seasonTiebreak]);
+
+  // Every change to game data goes through here so it can be undone.
+  function commit(label, updater, options) {
+    setState((s) => recordStep(s, updater(s), label, options));
+  }
+  function updateSettings(label, patch) {
+    commit(label, (s) => ({ ...s, settings: { ...s.settings, ...patch(s.settings) } }), { coalesce: true });
+  }
 
   // ---------- Resets ----------
+  function confirmReset(kind) {
+    setState((s) => ({ ...s, ui: { ...s.ui, confirmReset: kind } }));
+  }
+  function cancelReset() {
+    setBackupFailed(false);
+    setState((s) => ({ ...s, ui: { ...s.ui, confirmReset: null } }));
+  }
+  function runConfirmedReset() {
+    const kind = ui.confirmReset;
+    if (!backupFailed) {
+      const saved = saveBackup(team.storageKey, kind === "newGame" ? `Before Start New Game (Game ${gameNumber})` : "Before Reset Positions", state);
+      if (!saved) {
+        setBackupFailed(true);
+        return;
+      }
+      setBackups(saved);
+    }
+    cancelReset();
+    if (kind === "newGame") startNewGame();
+    else resetPositionsOnly();
+  }
+  function restoreBackup(backupId) {
+    const backup = backups.find((b) => b.id === backupId);
+    if (!backup) return;
+    commit(`Restore backup from ${new Date(backup.savedAt).toLocaleTimeString()}`, (s) => ({ ...migrateState(backup.state), ui: s.ui }));
+  }
+
   function resetPositionsOnly() {
-    const base = roster.map((p) => ({ ...p, pos: Object.fromEntries(Object.keys(p.pos).map((k) => [k, 0])) }));
-    setState((s) => ({ ...s, roster: base, series: 0, history: [], recentRoleByPlayer: {}, lastQB: null }));
+    const base = roster.map((p) => ({ ...p, pos: Object.fromEntries(Object.keys(p.pos).map((k) => [k, 0])), lateCredit: {} }));
+    commit("Reset Positions", (s) => ({
+      ...s,
+      roster: base,
+      series: 0,
+      history: [],
+      recentRoleByPlayer: {},
+      lastQB: null,
+      plan: s.plan ? { ...s.plan, slots: s.plan.slots.map((slot) => ({ ...slot, played: false })) } : s.plan,
+    }));
   }
 
   function startNewGame() {
-    // Archive a tiny summary
+    // Archive a tiny summary, with this game's stats so the Stats section can look back at it
+    const gameStats = gameStatsByRole(history);
     const summary = {
       game: gameNumber || 1,
       endedAt: new Date().toISOString(),
       attendance: roster.filter((p) => p.active).map((p) => p.name),
       seriesPlayed: history.length,
+      captainCount: currentCaptainIds.length,
+      captains: currentCaptainIds.map((id) => byId.get(id)?.name).filter(Boolean),
+      score: { us: scoreboard.us, them: scoreboard.them },
+      periods: scoreboard.period,
+      results: history.map((entry) => ({ series: entry.series, phase: entry.phase, period: entry.period, result: entry.result || null })),
+      goals: goalResults(roster, catalog),
+      stats: gameStats,
     };
-    // Reset sits + ALL per-game position counts to 0
-    const base = roster.map((p) => ({ ...p, sits: 0, pos: Object.fromEntries(Object.keys(p.pos).map((k) => [k, 0])) }));
-    const newQueue = buildQueueFromActive(base);
-    setState((s) => ({
+    // Fold this game into season totals, then reset sits, late-arrival credit + ALL per-game position counts to 0
+    const base = roster.map((p) => ({
+      ...p,
+      season: foldGameIntoSeason(p, gameStats),
+      sits: 0,
+      pos: Object.fromEntries(Object.keys(p.pos).map((k) => [k, 0])),
+      arrivedAt: null,
+      lateCredit: {},
+    }));
+    const newQueue = buildQueueFromActive(base, [], settings);
+    commit("Start New Game", (s) => ({
       ...s,
       roster: base,
       queue: newQueue,
@@ -398,295 +3556,479 @@ export default function App() {
       gameNumber: (gameNumber || 1) + 1,
       seasonHistory: [...(seasonHistory || []), summary],
       benchMeta: { ...DEFAULT_BENCH_META },
+      plan: null,
+      captains: createCaptainState((gameNumber || 1) + 1),
+      scoreboard: createScoreboard(),
+      clock: createClock(s.settings.clockMinutes || 0),
     }));
   }
 
   function exportState() {
-    const blob = new Blob([JSON.stringify(state, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `flag-coach-state-series-${series}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadFile(`flag-coach-${fileSlug(team.name)}-series-${series}.json`, JSON.stringify(buildExportFile(state), null, 2), "application/json");
+  }
+
+  // ---------- Sharing ----------
+  function openShare() {
+    const snapshot = buildShareSnapshot(state, { teamName: team.name, tallyRoles, catalog });
+    setShare({ url: shareUrl(snapshot), series: history.length, copied: false });
+  }
+  function copyShareLink() {
+    // The clipboard needs a secure origin and permission; without them, select the link to copy by hand.
+    const copyByHand = () => {
+      setShare((current) => current && { ...current, copied: "manual" });
+      shareInputRef.current?.select();
+    };
+    if (!navigator.clipboard) {
+      copyByHand();
+      return;
+    }
+    navigator.clipboard.writeText(share.url).then(() => setShare((current) => current && { ...current, copied: true }), copyByHand);
+  }
+
+  // ---------- Reports ----------
+  function downloadLineupCard(source) {
+    const seriesList = source === "plan"
+      ? (plan?.slots || []).map((slot, index) => ({ ...slot, series: index + 1 }))
+      : history;
+    if (!seriesList.length) return;
+    const html = buildLineupCardHtml({ teamName: team.name, gameNumber, source, series: seriesList, roster });
+    downloadFile(`lineup-card-${fileSlug(team.name)}-game-${gameNumber}${source === "plan" ? "-plan" : ""}.html`, html, "text/html");
+  }
+  function downloadPlayerReport() {
+    const html = buildPlayerReportHtml({ teamName: team.name, gameNumber, history, roster, catalog });
+    downloadFile(`player-report-${fileSlug(team.name)}-game-${gameNumber}.html`, html, "text/html");
+  }
+  function downloadGoalsReport() {
+    const html = buildGoalsReportHtml({ teamName: team.name, gameNumber, roster, catalog });
+    downloadFile(`goals-${fileSlug(team.name)}-game-${gameNumber}.html`, html, "text/html");
+  }
+  function downloadCsv(kind) {
+    const stem = `${fileSlug(team.name)}-game-${gameNumber}`;
+    if (kind === "roster") downloadFile(`roster-${fileSlug(team.name)}.csv`, buildRosterCsv(roster, catalog), "text/csv");
+    if (kind === "tally") downloadFile(`tally-${stem}.csv`, buildTallyCsv(roster, tallyRoles, catalog), "text/csv");
+    if (kind === "history") downloadFile(`series-${stem}.csv`, buildHistoryCsv(history, byId, settings), "text/csv");
+  }
+  function importRosterCsv(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const allRoles = buildRoleCatalog([...formationsForSide(state, "offense"), ...formationsForSide(state, "defense")]);
+      setRosterCsv({ fileName: file.name, duplicates: "skip", ...parseRosterCsv(reader.result, roster, allRoles) });
+    };
+    reader.readAsText(file);
+  }
+  function applyRosterCsv() {
+    if (!rosterCsv?.rows.length) return;
+    const { rows, columns, duplicates } = rosterCsv;
+    commit(`Import roster ${rosterCsv.fileName}`, (s) => mergeRosterCsv(s, rows, columns, duplicates));
+    setRosterCsv(null);
   }
   function importState(e) {
     const file = e.target.files?.[0];
+    e.target.value = "";
     if (!file) return;
     const reader = new FileReader();
     reader.onload = () => {
+      let data;
+      try {
+        data = JSON.parse(reader.result);
+      } catch {
+        setImportPreview({ fileName: file.name, errors: ["File is not valid JSON."] });
+        return;
+      }
+      const { errors, state: rawState } = validateImportData(data);
+      if (errors.length) {
+        setImportPreview({ fileName: file.name, errors });
+        return;
+      }
+      let migrated;
       try {
-        const data = JSON.parse(reader.result);
-        setState(data);
+        migrated = migrateState(rawState);
       } catch (err) {
-        alert("Invalid file");
+        setImportPreview({ fileName: file.name, errors: [`File could not be read: ${err.message}`] });
+        return;
       }
+      const { players, conflicts: fileNumberConflicts } = releaseTakenNumbers([], migrated.roster);
+      const incoming = { ...migrated, roster: players };
+      setImportPreview({ fileName: file.name, errors: [], incoming, fileNumberConflicts, diff: diffImportedState(state, incoming) });
     };
     reader.readAsText(file);
   }
+  function applyImport(mode) {
+    if (!importPreview?.incoming) return;
+    const { incoming } = importPreview;
+    commit(
+      mode === "merge" ? `Merge ${importPreview.fileName}` : `Import ${importPreview.fileName}`,
+      (s) => (mode === "merge" ? mergeImportedState(s, incoming) : { ...incoming, ui: s.ui }),
+    );
+    setImportPreview(null);
+  }
 
   // ---------- Roster actions ----------
+  function loadSampleRoster() {
+    commit("Load sample roster", (s) => addSampleRoster(s));
+  }
   function addPlayer() {
-    const name = prompt("Player name");
-    if (!name) return;
-    setState((s) => {
-      const exists = s.roster.some((p) => p.name.toLowerCase() === name.toLowerCase());
-      if (exists) return s;
-      const newPlayer = createEmptyTallies(name);
-      const roster = [...s.roster, newPlayer].sort((a, b) => a.name.localeCompare(b.name));
-      const queue = buildQueueFromActive(roster, s.queue);
-      return { ...s, roster, queue };
-    });
+    setProfileDraft(createEmptyProfile());
+  }
+  function editProfile(id) {
+    const player = byId.get(id);
+    if (player) setProfileDraft(profileFromPlayer(player));
+  }
+  function saveProfile(profile) {
+    const fields = profileFields(profile);
+    if (profile.id) {
+      commit(`Edit profile: ${fields.name}`, (s) => ({
+        ...s,
+        roster: s.roster.map((p) => (p.id === profile.id ? { ...p, ...fields } : p)).sort((a, b) => a.name.localeCompare(b.name)),
+      }));
+    } else {
+      commit(`Add ${fields.name}`, (s) => {
+        const [newPlayer] = markLateArrivals(s.roster, [{ ...createEmptyTallies(fields.name), ...fields }], s.series);
+        const roster = [...s.roster, newPlayer].sort((a, b) => a.name.localeCompare(b.name));
+        const queue = buildQueueFromActive(roster, s.queue, s.settings);
+        return { ...s, roster, queue };
+      });
+    }
+    setProfileDraft(null);
   }
   function removePlayer(id) {
-    setState((s) => {
+    commit(`Remove ${byId.get(id)?.name || "player"}`, (s) => {
       const roster = s.roster.filter((p) => p.id !== id);
       const filteredQueue = s.queue.filter((q) => q !== id);
-      const queue = buildQueueFromActive(roster, filteredQueue);
+      const queue = buildQueueFromActive(roster, filteredQueue, s.settings);
       const recentRoleByPlayer = Object.fromEntries(Object.entries(s.recentRoleByPlayer || {}).filter(([pid]) => pid !== id));
-      return { ...s, roster, queue, recentRoleByPlayer };
+      const benchRules = (s.benchRules || []).map((rule) => ({ ...rule, playerIds: rule.playerIds.filter((pid) => pid !== id) }));
+      const captains = s.captains ? { ...s.captains, ids: s.captains.ids.filter((pid) => pid !== id) } : s.captains;
+      const locks = (s.locks || []).filter((lock) => lock.playerId !== id);
+      return { ...s, roster, queue, recentRoleByPlayer, benchRules, captains, locks };
     });
   }
   function toggleActive(id) {
-    setState((s) => {
-      const roster = s.roster.map((p) => (p.id === id ? { ...p, active: !p.active } : p));
-      const queue = buildQueueFromActive(roster, s.queue);
+    const player = byId.get(id);
+    commit(`${player?.active ? "Mark absent" : "Mark present"}: ${player?.name || "player"}`, (s) => {
+      const roster = s.roster.map((p) => {
+        if (p.id !== id) return p;
+        if (p.active) return { ...p, active: false, out: null };
+        const late = s.series > 0;
+        return { ...p, active: true, out: null, arrivedAt: late ? s.series + 1 : null, lateCredit: late ? lateArrivalCredit(s.roster, id) : {} };
+      });
+      const queue = buildQueueFromActive(roster, s.queue, s.settings);
       return { ...s, roster, queue };
     });
   }
 
+  function clearLateArrival(id) {
+    commit(`On time: ${byId.get(id)?.name || "player"}`, (s) => ({
+      ...s,
+      roster: s.roster.map((p) => (p.id === id ? { ...p, arrivedAt: null, lateCredit: {} } : p)),
+    }));
+  }
+  function markOut(id) {
+    const player = byId.get(id);
+    if (!player) return;
+    const answer = prompt(`${player.name} is out for how many series? Leave blank to keep them out until you tap back in.`, "");
+    if (answer === null) return;
+    const count = Math.max(0, Math.floor(Number(answer) || 0));
+    commit(`Out: ${player.name}`, (s) => {
+      const roster = s.roster.map((p) => (p.id === id ? { ...p, out: createOutStatus(count, s.series) } : p));
+      return { ...s, roster, queue: buildQueueFromActive(roster, s.queue, s.settings) };
+    });
+  }
+  function clearOut(id) {
+    commit(`Back in: ${byId.get(id)?.name || "player"}`, (s) => {
+      const roster = s.roster.map((p) => (p.id === id ? { ...p, out: null } : p));
+      return { ...s, roster, queue: buildQueueFromActive(roster, s.queue, s.settings) };
+    });
+  }
+
   function toggleAbilityFlag(id, key) {
-    setState((s) => ({
+    commit(`Toggle ${ABILITY_FLAG_LABELS[key] || key}: ${byId.get(id)?.name || "player"}`, (s) => ({
       ...s,
       roster: s.roster.map((p) => (p.id === id ? { ...p, [key]: !p[key] } : p)),
     }));
   }
 
-  // ---------- Position assignment engine (random + balanced per game) ----------
-  function eligiblePoolForRole(role, candidates, alreadyAssigned, currentSeries) {
-    const abilityCheck = ROLE_ABILITY_CHECK[role];
+  // scope is "offense", "defense" (allowed lists) or "never"
+  function toggleRoleRestriction(id, scope, role) {
+    commit(`Edit roles: ${byId.get(id)?.name || "player"}`, (s) => ({
+      ...s,
+      roster: s.roster.map((p) => {
+        if (p.id !== id) return p;
+        const current = p.roleRestrictions || EMPTY_ROLE_RESTRICTIONS;
+        const list = current[scope] || [];
+        const nextList = list.includes(role) ? list.filter((r) => r !== role) : [...list, role];
+        return { ...p, roleRestrictions: { ...current, [scope]: nextList } };
+      }),
+    }));
+  }
 
-    const allowed = candidates.filter((id) => {
-      if (alreadyAssigned.has(id)) return false;
-      const player = byId.get(id);
-      if (!player) return false;
-      if (abilityCheck && !abilityCheck(player)) return false;
-      const restrictions = PLAYER_ROLE_RESTRICTIONS[player.name];
-      if (restrictions) {
-        const scope = OFFENSE_ROLE_SET.has(role)
-          ? restrictions.offense
-          : DEFENSE_ROLE_SET.has(role)
-          ? restrictions.defense
-          : null;
-        if (scope && !scope.includes(role)) return false;
-      }
-      return true;
+  function clearRoleRestrictions(id) {
+    commit(`Clear roles: ${byId.get(id)?.name || "player"}`, (s) => ({
+      ...s,
+      roster: s.roster.map((p) => (p.id === id ? { ...p, roleRestrictions: normalizeRoleRestrictions(EMPTY_ROLE_RESTRICTIONS) } : p)),
+    }));
+  }
+
+  // key is "offense", "defense" or a family key; null clears the rating.
+  function setRating(id, key, value) {
+    commit(`Rate ${byId.get(id)?.name || "player"}`, (s) => ({
+      ...s,
+      roster: s.roster.map((p) => {
+        if (p.id !== id) return p;
+        const ratings = normalizeRatings(p.ratings);
+        const next = key === "offense" || key === "defense"
+          ? { ...ratings, [key]: value }
+          : { ...ratings, families: { ...ratings.families, [key]: value } };
+        return { ...p, ratings: normalizeRatings(next) };
+      }),
+    }), { coalesce: true });
+  }
+
+  // ---------- Scoreboard ----------
+  // Score changes also update the last series, so each entry holds the score after it.
+  function adjustScore(side, delta) {
+    commit(`Score: ${side === "us" ? "Us" : "Them"} ${delta > 0 ? "+" : ""}${delta}`, (s) => {
+      const board = { ...createScoreboard(), ...s.scoreboard };
+      const next = { ...board, [side]: Math.max(0, board[side] + delta) };
+      const last = s.history[s.history.length - 1];
+      return {
+        ...s,
+        scoreboard: next,
+        history: last ? [...s.history.slice(0, -1), { ...last, score: { us: next.us, them: next.them } }] : s.history,
+      };
+    });
+  }
+  function changePeriod(delta) {
+    const period = Math.max(1, scoreboard.period + delta);
+    if (period === scoreboard.period) return;
+    commit(`Period: ${periodLabel(settings, period)}`, (s) => ({ ...s, scoreboard: { ...createScoreboard(), ...s.scoreboard, period } }));
+    resetClock();
+  }
+  function setSeriesResult(result) {
+    const entry = history[history.length - 1];
+    if (!entry) return;
+    const next = entry.result === result ? null : result;
+    commit(`Series ${entry.series} result: ${next ? seriesResultLabel(next) : "cleared"}`, (s) => ({
+      ...s,
+      history: [...s.history.slice(0, -1), { ...s.history[s.history.length - 1], result: next }],
+    }));
+  }
+  function toggleClock() {
+    setState((s) => {
+      const time = Date.now();
+      const clock = s.clock || createClock(s.settings.clockMinutes || 0);
+      if (clock.endsAt) return { ...s, clock: { remainingMs: clockRemaining(clock, time), endsAt: null } };
+      if (!clock.remainingMs) return s;
+      return { ...s, clock: { ...clock, endsAt: time + clock.remainingMs } };
     });
+  }
+  function resetClock() {
+    setState((s) => ({ ...s, clock: createClock(s.settings.clockMinutes || 0) }));
+  }
+  function changeClockMinutes(minutes) {
+    updateSettings("Change clock length", () => ({ clockMinutes: minutes }));
+    setState((s) => (s.clock?.endsAt ? s : { ...s, clock: createClock(minutes) }));
+  }
 
-    if (!allowed.length) return [];
-    
-    let pool = allowed;
-
-    // Optional: no-repeat same role family in last N series
-    if (settings.noRepeatWindow && settings.noRepeatWindow > 0) {
-      const group = roleGroup(role);
-      const filtered = pool.filter((id) => {
-        const rec = recentRoleByPlayer[id];
-        if (!rec) return true;
-        const within = rec.series >= currentSeries - settings.noRepeatWindow;
-        return !(within && rec.role === group);
-      });
-      if (filtered.length) {
-        pool = filtered;
-      }
-    }
+  // ---------- Stats ----------
+  function recordStat(playerId, statKey, delta = 1) {
+    const entry = history[history.length - 1];
+    if (!entry) return;
+    const label = STAT_TYPES.find((stat) => stat.key === statKey)?.label || statKey;
+    commit(`${delta > 0 ? "Stat" : "Remove stat"}: ${byId.get(playerId)?.name || "player"} ${label}`, (s) => {
+      const last = s.history[s.history.length - 1];
+      const counts = last.stats?.[playerId] || {};
+      const value = Math.max(0, (counts[statKey] || 0) + delta);
+      return {
+        ...s,
+        history: [...s.history.slice(0, -1), { ...last, stats: { ...(last.stats || {}), [playerId]: { ...counts, [statKey]: value } } }],
+      };
+    });
+  }
 
-    // Prefer players who haven't played this role yet this game
-    const zeroPool = pool.filter((id) => byId.get(id).pos[role] === 0);
-    if (zeroPool.length) return prioritizeRestrictedPlayers(zeroPool, role);
+  // ---------- Locks ----------
+  function addLock({ playerId, type, role, count }) {
+    if (type === "role" && !role) return;
+    const lock = createLock(playerId, type, count, role);
+    commit(`Lock: ${describeLock(lock, byId, catalog)}`, (s) => ({ ...s, locks: [...(s.locks || []), lock] }));
+    setLockForm(null);
+  }
+  function removeLock(lockId) {
+    const lock = (state.locks || []).find((l) => l.id === lockId);
+    commit(`Unlock: ${lock ? describeLock(lock, byId, catalog) : "player"}`, (s) => ({ ...s, locks: (s.locks || []).filter((l) => l.id !== lockId) }));
+  }
 
-    // Otherwise, pick from minimum per-game count for this role
-    const counts = pool.map((id) => byId.get(id).pos[role]);
-    const minCount = Math.min(...counts);
-    const minPool = pool.filter((id) => byId.get(id).pos[role] === minCount);
-    return prioritizeRestrictedPlayers(minPool, role);
+  // ---------- Formations ----------
+  function selectFormation(side, formationId) {
+    commit("Choose formation", (s) => ({ ...s, activeFormationIds: { ...s.activeFormationIds, [side]: formationId } }));
+  }
+  function duplicateFormation(formationId) {
+    const source = [...BUILTIN_FORMATIONS, ...(state.customFormations || [])].find((f) => f.id === formationId);
+    if (!source) return;
+    setFormationDraft({ ...formationSnapshot(source), id: crypto.randomUUID(), name: `${source.name} (copy)` });
+  }
+  function saveFormation(formation) {
+    commit(`Save formation ${formation.name}`, (s) => {
+      const existing = s.customFormations || [];
+      return {
+        ...s,
+        customFormations: existing.some((f) => f.id === formation.id)
+          ? existing.map((f) => (f.id === formation.id ? formation : f))
+          : [...existing, formation],
+      };
+    });
+    setFormationDraft(null);
+  }
+  function deleteFormation(formationId) {
+    const target = (state.customFormations || []).find((f) => f.id === formationId);
+    if (!target || !confirm(`Delete the ${target.name} formation? Past series keep their own copy.`)) return;
+    commit(`Delete formation ${target.name}`, (s) => ({
+      ...s,
+      customFormations: s.customFormations.filter((f) => f.id !== formationId),
+      activeFormationIds: s.activeFormationIds[target.side] === formationId
+        ? { ...s.activeFormationIds, [target.side]: defaultFormationId(target.side, s.settings.teamSize) }
+        : s.activeFormationIds,
+    }));
   }
 
-  function pickForRole(role, candidates, alreadyAssigned, currentSeries) {
-    const pool = eligiblePoolForRole(role, candidates, alreadyAssigned, currentSeries);
-    if (!pool.length) return null;
-    return pool[0] || null; // already shuffled randomly
+  // ---------- Captains ----------
+  function chooseCaptains() {
+    commit("Pick captains", (s) => ({ ...s, ...pickCaptains(s) }));
   }
 
-  function nextSeries(which) {
-    const currentSeries = series + 1;
+  // ---------- Bench rules ----------
+  function addBenchRule(type) {
+    commit("Add bench rule", (s) => ({ ...s, benchRules: [...(s.benchRules || []), createBenchRule(type)] }));
+  }
+  function updateBenchRule(ruleId, updater) {
+    commit("Edit bench rule", (s) => ({
+      ...s,
+      benchRules: (s.benchRules || []).map((rule) => (rule.id === ruleId ? updater(rule) : rule)),
+    }));
+  }
+  function toggleBenchRulePlayer(ruleId, playerId) {
+    updateBenchRule(ruleId, (rule) => ({
+      ...rule,
+      playerIds: rule.playerIds.includes(playerId)
+        ? rule.playerIds.filter((id) => id !== playerId)
+        : [...rule.playerIds, playerId],
+    }));
+  }
+  function moveBenchRule(ruleId, delta) {
+    commit("Reorder bench rules", (s) => {
+      const rules = [...(s.benchRules || [])];
+      const index = rules.findIndex((rule) => rule.id === ruleId);
+      if (index < 0) return s;
+      // Step over rules of other types so the move is visible within the group.
+      let target = index + delta;
+      while (target >= 0 && target < rules.length && rules[target].type !== rules[index].type) target += delta;
+      if (target < 0 || target >= rules.length) return s;
+      [rules[index], rules[target]] = [rules[target], rules[index]];
+      return { ...s, benchRules: rules };
+    });
+  }
+  function removeBenchRule(ruleId) {
+    commit("Remove bench rule", (s) => ({ ...s, benchRules: (s.benchRules || []).filter((rule) => rule.id !== ruleId) }));
+  }
+
+  // ---------- Game plan ----------
+  function generatePlan() {
     if (totalActive < settings.teamSize) {
-      alert(`Need at least ${settings.teamSize} active players. Currently ${totalActive}.`);
+      alert(`Need at least ${settings.teamSize} available players. Currently ${totalActive}.`);
       return;
     }
+    commit("Generate plan", (s) => ({ ...s, plan: createPlan(s, planForm) }));
+  }
+  function regeneratePlanSlots(label, shouldRegenerate) {
+    commit(label, (s) => (s.plan ? { ...s, plan: { ...s.plan, slots: simulatePlan(s, s.plan.slots, shouldRegenerate) } } : s));
+  }
+  function togglePlanSlotLock(slotId) {
+    commit("Lock plan series", (s) => (s.plan ? {
+      ...s,
+      plan: { ...s.plan, slots: s.plan.slots.map((slot) => (slot.id === slotId ? { ...slot, locked: !slot.locked } : slot)) },
+    } : s));
+  }
+  function clearPlan() {
+    commit("Clear plan", (s) => ({ ...s, plan: null }));
+  }
 
-    const advance = Math.max(1, sitCount);
-    const benchMetaBefore = benchMeta || DEFAULT_BENCH_META;
-    let nextBenchMeta = benchMetaBefore;
-    let workingQueue = [...queue];
-
-    if (which === "Offense" && !benchMetaBefore.firstOffenseHandled) {
-      if (sitCount > 0) {
-        const priorityIds = BENCH_PRIORITY_FIRST_OFFENSE
-          .map((name) => findActivePlayerIdByName(roster, name))
-          .filter((id) => id && workingQueue.includes(id));
-        if (priorityIds.length) {
-          const seats = Math.min(sitCount, priorityIds.length);
-          const idsToFront = priorityIds.slice(0, seats);
-          const rest = workingQueue.filter((id) => !idsToFront.includes(id));
-          workingQueue = [...idsToFront, ...rest];
-        }
-      }
-      nextBenchMeta = { ...benchMetaBefore, firstOffenseHandled: true };
-    }
-
-    if (which === "Defense" && !benchMetaBefore.firstDefenseHandled) {
-      const requiredIds = MUST_PLAY_FIRST_DEFENSE
-        .map((name) => findActivePlayerIdByName(roster, name))
-        .filter((id) => id && workingQueue.includes(id));
-      if (requiredIds.length) {
-        const requiredOrdered = [...requiredIds].sort(
-          (a, b) => workingQueue.indexOf(a) - workingQueue.indexOf(b),
-        );
-        const requiredSet = new Set(requiredOrdered);
-        const filteredQueue = workingQueue.filter((id) => !requiredSet.has(id));
-        const benchSlice = filteredQueue.slice(0, sitCount);
-        const playSlice = filteredQueue.slice(sitCount);
-        workingQueue = [...benchSlice, ...requiredOrdered, ...playSlice];
-      }
-      nextBenchMeta = { ...nextBenchMeta, firstDefenseHandled: true };
-    }
-    
-    let sitIds = workingQueue.slice(0, sitCount);
-    let playIds = workingQueue.slice(sitCount, sitCount + settings.teamSize);
-
-    if (sitCount > 0) {
-      const avoidIds = BENCH_NEVER_ALL
-        .map((name) => findActivePlayerIdByName(roster, name))
-        .filter((id) => id && workingQueue.includes(id));
-      if (avoidIds.length === BENCH_NEVER_ALL.length && avoidIds.every((id) => sitIds.includes(id))) {
-        const avoidSet = new Set(avoidIds);
-        const swapCandidate = playIds.find((id) => !avoidSet.has(id));
-        if (swapCandidate) {
-          const swapInBench = avoidIds.find((id) => sitIds.includes(id));
-          const benchIndex = workingQueue.indexOf(swapInBench);
-          const playIndex = workingQueue.indexOf(swapCandidate);
-          if (benchIndex >= 0 && playIndex >= 0) {
-            const updatedQueue = [...workingQueue];
-            [updatedQueue[benchIndex], updatedQueue[playIndex]] = [updatedQueue[playIndex], updatedQueue[benchIndex]];
-            workingQueue = updatedQueue;
-            sitIds = workingQueue.slice(0, sitCount);
-            playIds = workingQueue.slice(sitCount, sitCount + settings.teamSize);
-          }
-        }
-      }
+  // ---------- Series ----------
+  function nextSeries(which) {
+    if (totalActive < settings.teamSize) {
+      alert(`Need at least ${settings.teamSize} available players. Currently ${totalActive}.`);
+      return;
     }
 
-    let offense = null, defense = null;
-    const assigned = new Set();
-
-    if (which === "Offense") {
-      const mapping = {};
-      const offensePriority = ["off_qb", "off_c", "off_te_left", "off_te_right"];
-      const prioritizedRoles = [
-        ...offensePriority.filter((role) => OFFENSE_ROLES.includes(role)),
-        ...OFFENSE_ROLES.filter((role) => !offensePriority.includes(role))
-      ];
-      for (const r of prioritizedRoles) {
-        const id = pickForRole(r, playIds, assigned, currentSeries);
-        if (id) { mapping[r] = id; assigned.add(id); }
-      }
-      offense = mapping;
+    const planned = plan ? findPlannedSlot(state, which) : null;
+    const playable = planned && plannedSlotIsPlayable(state, planned);
+    let built;
+    if (playable && plannedSlotLocks(state, planned).honored) {
+      built = buildPlannedEntry(state, planned);
     } else {
-      const mapping = {};
-      const defensePriority = ["def_de_left", "def_dt", "def_de_right"];
-      const prioritizedRoles = [
-        ...defensePriority.filter((role) => DEFENSE_ROLES.includes(role)),
-        ...DEFENSE_ROLES.filter((role) => !defensePriority.includes(role)),
-      ];
-      for (const r of prioritizedRoles) {
-        const id = pickForRole(r, playIds, assigned, currentSeries);
-        if (id) { mapping[r] = id; assigned.add(id); }
+      built = buildSeriesEntry(state, which);
+      if (planned) {
+        built.entry.warnings = [
+          playable
+            ? "The planned lineup breaks a lock added after the plan was made, so a new lineup was drawn."
+            : "Plan is out of date with today's attendance, so a new lineup was drawn.",
+          ...built.entry.warnings,
+        ];
       }
-      defense = mapping;
     }
 
-    const entry = {
-      phase: which,
-      series: currentSeries,
-      sitIds,
-      playIds,
-      offense,
-      defense,
-      recentBefore: recentRoleByPlayer,
-      benchMetaBefore,
-    };
-
-    const updatedRoster = roster.map((p) => {
-      if (sitIds.includes(p.id)) return { ...p, sits: p.sits + 1 };
-      const roleMap = which === 'Offense' ? offense : defense;
-      const myRole = Object.entries(roleMap || {}).find(([, pid]) => pid === p.id)?.[0];
-      if (myRole && p.pos[myRole] !== undefined) return { ...p, pos: { ...p.pos, [myRole]: p.pos[myRole] + 1 } };
-      return p;
-    });
-
-    const recentUpdate = { ...recentRoleByPlayer };
-    const mappingNow = which === 'Offense' ? offense : defense;
-    Object.entries(mappingNow || {}).forEach(([role, pid]) => {
-      recentUpdate[pid] = { role: roleGroup(role), series: currentSeries };
-    });
-
-    const newQueue = [...workingQueue.slice(advance), ...workingQueue.slice(0, advance)];
-
-     setState((s) => ({
+    const next = applySeriesEntry(state, built.entry, built.workingQueue);
+    setPickedSpot(null);
+    commit(`Run ${which} • series ${built.entry.series}`, (s) => ({
       ...s,
-      roster: updatedRoster,
-      queue: newQueue,
-      series: currentSeries,
-      history: [...s.history, entry],
-      recentRoleByPlayer: recentUpdate,
-      benchMeta: nextBenchMeta,
-      }));
+      ...next,
+      plan: markPlanSlot(s.plan, planned?.id, true),
+    }));
   }
 
-  function undo() {
-    if (!history.length) return;
-    const last = history[history.length - 1];
-
-    const restored = roster.map((p) => {
-      if (last.sitIds.includes(p.id)) return { ...p, sits: Math.max(0, p.sits - 1) };
-      if (last.phase === "Offense" && last.offense) {
-        const myRole = Object.entries(last.offense).find(([, pid]) => pid === p.id)?.[0];
-        if (myRole && p.pos[myRole] !== undefined) return { ...p, pos: { ...p.pos, [myRole]: Math.max(0, p.pos[myRole] - 1) } };
-      }
-      if (last.phase === "Defense" && last.defense) {
-        const myRole = Object.entries(last.defense).find(([, pid]) => pid === p.id)?.[0];
-        if (myRole && p.pos[myRole] !== undefined) return { ...p, pos: { ...p.pos, [myRole]: Math.max(0, p.pos[myRole] - 1) } };
-      }
-      return p;
-    });
-
-    const advance = Math.max(1, Math.max(totalActive - settings.teamSize, 0));
-    const newQueue = [...queue.slice(-advance), ...queue.slice(0, -advance)];
-
-    const benchMetaRestored = Object.prototype.hasOwnProperty.call(last, "benchMetaBefore")
-      ? { ...DEFAULT_BENCH_META, ...(last.benchMetaBefore || {}) }
-      : benchMeta;
-
-    setState({
-      ...state,
-      roster: restored,
-      queue: newQueue,
-      series: Math.max(0, series - 1),
-      history: history.slice(0, -1),
-      recentRoleByPlayer: normalizeRecentMap(last.recentBefore || {}),
-      benchMeta: benchMetaRestored,
-    });
+  // ---------- Manual overrides ----------
+  function moveSpot(from, to) {
+    setPickedSpot(null);
+    const entry = history[history.length - 1];
+    const next = overrideLastSeries(state, from, to);
+    if (!entry || !next) return;
+    const mapping = entry[sideOfPhase(entry.phase)] || {};
+    const describe = (spot) => byId.get(spotOccupant(mapping, spot))?.name || (spot.role ? roleDisplayName(spot.role, catalog) : "bench");
+    commit(`Swap ${describe(from)} ↔ ${describe(to)}`, (s) => ({ ...s, ...next }));
+  }
+  function tapSpot(spot) {
+    if (!pickedSpot) setPickedSpot(spot);
+    else if (sameSpot(pickedSpot, spot)) setPickedSpot(null);
+    else moveSpot(pickedSpot, spot);
+  }
+  // Drag or tap handlers for a spot on the live board; other boards stay display-only.
+  function spotHandlers(spot, live) {
+    if (!live) return {};
+    return {
+      role: "button",
+      tabIndex: 0,
+      draggable: true,
+      onDragStart: (e) => e.dataTransfer.setData("application/json", JSON.stringify(spot)),
+      onDragOver: (e) => e.preventDefault(),
+      onDrop: (e) => {
+        e.preventDefault();
+        const from = parseDroppedSpot(e.dataTransfer.getData("application/json"), lastEntry);
+        if (from) moveSpot(from, spot);
+      },
+      onClick: () => tapSpot(spot),
+      onKeyDown: (e) => {
+        if (e.key === "Enter" || e.key === " ") { e.preventDefault(); tapSpot(spot); }
+      },
+    };
+  }
+
+  function undo() {
+    setState((s) => stepBack(s));
+  }
+  function redo() {
+    setState((s) => stepForward(s));
   }
 
   // ---------- UI helpers ----------
@@ -696,12 +4038,30 @@ export default function App() {
     return (
       <span
         className={`inline-flex items-center rounded-xl border border-white/20 bg-white/10 px-2 py-1 text-sm ${className}`.trim()}
+        title={p.nickname ? p.name : undefined}
       >
-        {p.name}
+        {playerLabel(p)}
       </span>
     );
   }
-  function FormationBoard({ title, layout, mapping, action, sitIds = [], isActive = false }) {
+  // Players out for a series; showStatus adds each one's live countdown.
+  function OutRow({ ids, showStatus = false }) {
+    const players = ids.map((id) => byId.get(id)).filter(Boolean);
+    if (!players.length) return null;
+    return (
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+        <span className="text-xs font-semibold uppercase tracking-wide text-rose-200">Out</span>
+        {players.map((p) => (
+          <span key={p.id} className="rounded-xl border border-rose-400/40 bg-rose-500/10 px-2 py-1 text-rose-100">
+            🩹 {p.name}{showStatus && p.out && <span className="text-xs text-rose-200"> ({describeOut(p.out)})</span>}
+          </span>
+        ))}
+      </div>
+    );
+  }
+  function FormationBoard({ title, formation, mapping, action, sitIds = [], outIds = [], isActive = false }) {
+    const { layout } = formation;
+    const labels = buildRoleCatalog([formation]);
     const columns = layout.reduce((max, row) => Math.max(max, row.length), 0);
     const columnClassMap = {
       1: "grid-cols-1",
@@ -709,6 +4069,8 @@ export default function App() {
       3: "grid-cols-3",
       4: "grid-cols-4",
       5: "grid-cols-5",
+      6: "grid-cols-6",
+      7: "grid-cols-7",
     };
     const columnClass = columnClassMap[columns] || "grid-cols-1";
 
@@ -732,15 +4094,17 @@ export default function App() {
                   );
                 }
 
-                const label = ROLE_META[slot]?.label || slot;
+                const label = labels[slot]?.label || slot;
                 const assigned = mapping?.[slot];
+                const locked = isActive && (lastEntry?.lockedRoles?.includes(slot) || lockedIds.has(assigned));
 
                 return (
                   <div
                     key={slot}
-                    className="flex min-h-[72px] flex-col items-center justify-center rounded-xl bg-white/10 px-3 py-2 text-center"
+                    {...spotHandlers({ role: slot }, isActive)}
+                    className={`flex min-h-[72px] flex-col items-center justify-center rounded-xl bg-white/10 px-3 py-2 text-center ${isActive ? "cursor-pointer" : ""} ${isActive && sameSpot(pickedSpot, { role: slot }) ? "ring-2 ring-emerald-400" : ""}`.trim()}
                   >
-                    <span className="text-xs font-semibold uppercase tracking-wide text-gray-300">{label}</span>
+                    <span className="text-xs font-semibold uppercase tracking-wide text-gray-300">{label}{locked && <span title="Locked"> 🔒</span>}</span>
                     {assigned ? (
                       <PlayerTag id={assigned} className="mt-2" />
                     ) : (
@@ -757,11 +4121,20 @@ export default function App() {
             <div className="mb-2 font-semibold">Sitting this series</div>
             <div className="flex flex-wrap gap-2">
               {sitIds.length ? (
-                sitIds.map((id) => <PlayerTag key={id} id={id} />)
+                sitIds.map((id) => (
+                  <span key={id} {...spotHandlers({ sitId: id }, true)} className={`cursor-pointer rounded-xl ${sameSpot(pickedSpot, { sitId: id }) ? "ring-2 ring-emerald-400" : ""}`.trim()}>
+                    <PlayerTag id={id} />
+                    {lockedIds.has(id) && <span title="Locked to the bench"> 🔒</span>}
+                  </span>
+                ))
               ) : (
                 <div className="text-sm text-gray-300">(none yet)</div>
               )}
             </div>
+            <OutRow ids={outIds} />
+            <div className="mt-2 text-xs text-gray-400">
+              {pickedSpot ? "Now tap where they should go." : "Drag a player onto another slot or the bench to swap, or tap one and then the other."}
+            </div>
           </div>
         )}
       </div>
@@ -769,6 +4142,47 @@ export default function App() {
   }
 
   const lastEntry = history[history.length - 1];
+  const catalog = roleCatalogFor(state);
+  // The last series keeps the formation it was drawn with; the other board previews the next pick.
+  const boardFormation = (side) => (
+    lastEntry && sideOfPhase(lastEntry.phase) === side ? entryFormation(lastEntry) : activeFormationFor(state, side)
+  );
+  // The chosen formation's slots, plus any other slot someone has played.
+  const columnRoles = (side, counts) => {
+    const roles = formationRoles(activeFormationFor(state, side));
+    const extras = [...new Set(counts.flatMap((pos) => Object.keys(pos || {})))]
+      .filter((role) => roleScope(role) === side && !roles.includes(role) && counts.some((pos) => pos?.[role]));
+    return [...roles, ...extras];
+  };
+  const gameCounts = roster.map((p) => p.pos);
+  const gameStats = gameStatsByRole(history);
+  const seasonCounts = roster.map((p) => foldGameIntoSeason(p, gameStats).pos);
+  const tallyRoles = { offense: columnRoles("offense", gameCounts), defense: columnRoles("defense", gameCounts) };
+  const seasonRoles = { offense: columnRoles("offense", seasonCounts), defense: columnRoles("defense", seasonCounts) };
+  const sideRoles = (side) => [...new Set(formationsForSide(state, side).flatMap(formationRoles))];
+  const restrictionRoles = { offense: sideRoles("offense"), defense: sideRoles("defense") };
+  const goalRows = goalResults(roster, catalog);
+  const ratingFamilies = {
+    offense: [...new Set(restrictionRoles.offense.map((role) => roleGroup(role, catalog)))],
+    defense: [...new Set(restrictionRoles.defense.map((role) => roleGroup(role, catalog)))],
+  };
+  const lockRoles = [...formationRoles(activeFormationFor(state, "offense")), ...formationRoles(activeFormationFor(state, "defense"))];
+  const lockedIds = new Set(lastEntry?.lockedIds || []);
+  const nextBenchIds = queue.slice(0, sitCount);
+  const outPlayers = roster.filter((p) => p.active && p.out);
+  const playTime = playTimeByPlayer(roster.map((p) => p.id), history);
+  // Lowest share first so anyone short of the minimum is at the top.
+  const playTimeRows = roster
+    .map((player) => ({ player, record: playTime.get(player.id), status: playTimeStatus(playTime.get(player.id), settings.minPlayPct) }))
+    .filter(({ player, record }) => player.active || record.seen)
+    .sort((a, b) => (a.record.pct ?? 1) - (b.record.pct ?? 1) || a.player.name.localeCompare(b.player.name));
+  const playTimeFlags = playTimeRows.filter(({ status }) => status).length;
+  const undoStep = state.timeline?.past[state.timeline.past.length - 1];
+  const redoStep = state.timeline?.future[0];
+  const planSummary = plan ? summarizePlan(plan, roster) : [];
+  const planStale = plan ? plan.slots.some((slot) => !slot.played && !plannedSlotIsPlayable(state, slot)) : false;
+  const nextPlannedOffense = plan ? findPlannedSlot(state, "Offense") : null;
+  const nextPlannedDefense = plan ? findPlannedSlot(state, "Defense") : null;
 
   return (
     <div className="min-h-screen bg-gray-900 text-gray-100 mx-auto max-w-6xl pb-28">
@@ -776,66 +4190,409 @@ export default function App() {
       <header className="sticky top-0 z-10 bg-gray-900/90 backdrop-blur supports-[backdrop-filter]:bg-gray-900/70">
         <div className="px-4 py-3 flex items-center justify-between">
           <div>
-            <h1 className="text-xl font-bold">7v7 Flag Coach</h1>
-            <p className="text-xs text-gray-300">Game {gameNumber} • Series {series} • Active {totalActive} • Sit {sitCount}</p>
+            <h1 className="text-xl font-bold">{settings.teamSize}v{settings.teamSize} Flag Coach</h1>
+            <select
+              aria-label="Team"
+              className="mt-1 rounded border border-white/20 bg-gray-900 px-2 py-0.5 text-sm"
+              value={team.id}
+              onChange={(e) => teamActions.switchTeam(e.target.value)}
+            >
+              {teams.map((t) => (<option key={t.id} value={t.id}>{t.name}</option>))}
+            </select>
+            <p className="text-xs text-gray-300">Game {gameNumber} • Series {series} • Active {totalActive}{outPlayers.length ? ` • Out ${outPlayers.length}` : ""} • Sit {sitCount}</p>
+            <p className="text-xs font-semibold text-gray-100">
+              Us {scoreboard.us} – {scoreboard.them} Them • {periodLabel(settings, scoreboard.period)}
+              {settings.clockMinutes > 0 && <GameClock clock={state.clock}>{(ms) => ` • ${formatClock(ms)}${state.clock?.endsAt ? "" : " ⏸"}`}</GameClock>}
+            </p>
+            {settings.captainCount > 0 && (
+              <p className="mt-1 flex flex-wrap items-center gap-2 text-xs text-gray-300">
+                <span>Captains: {currentCaptainIds.length ? formatNames(currentCaptainIds, byId) : "(not picked)"}</span>
+                <button type="button" className="rounded-lg border border-white/30 bg-white/5 px-2 py-0.5 hover:border-white/60" onClick={chooseCaptains}>
+                  {currentCaptainIds.length ? "Re-pick" : "Pick"}
+                </button>
+              </p>
+            )}
           </div>
-          <div className="flex gap-2">
+          <div className="flex flex-wrap justify-end gap-2">
+            <button className="rounded-2xl border border-white/30 hover:border-white/60 bg-white/5 px-3 py-1 text-sm" onClick={() => setShowTeams(true)}>Teams</button>
             <button className="rounded-2xl border border-white/30 hover:border-white/60 bg-white/5 px-3 py-1 text-sm" onClick={() => setState((s)=>({...s, ui:{...s.ui, showAttendance:true}}))}>Attendance</button>
+            <button className="rounded-2xl border border-white/30 hover:border-white/60 bg-white/5 px-3 py-1 text-sm" onClick={() => setState((s)=>({...s, ui:{...s.ui, showBenchRules:true}}))}>Bench Rules</button>
+            <button className="rounded-2xl border border-white/30 hover:border-white/60 bg-white/5 px-3 py-1 text-sm" onClick={() => setState((s)=>({...s, ui:{...s.ui, showFormations:true}}))}>Formations</button>
+            <button className="rounded-2xl border border-white/30 hover:border-white/60 bg-white/5 px-3 py-1 text-sm" onClick={() => setState((s)=>({...s, ui:{...s.ui, showReports:true}}))}>Reports</button>
+            <button className="rounded-2xl border border-white/30 hover:border-white/60 bg-white/5 px-3 py-1 text-sm" onClick={openShare}>Share</button>
             <button className="rounded-2xl border border-white/30 hover:border-white/60 bg-white/5 px-3 py-1 text-sm" onClick={() => setState((s)=>({...s, ui:{...s.ui, showSettings:true}}))}>Settings</button>
           </div>
         </div>
       </header>
 
       <main className="px-4 space-y-3">
+        {/* Scoreboard */}
+        <section className="rounded-2xl border border-white/10 bg-white/5 p-3">
+          <div className="grid grid-cols-2 gap-3">
+            {[["us", "Us"], ["them", "Them"]].map(([side, label]) => (
+              <div key={side} className="rounded-xl bg-white/10 p-2 text-center">
+                <div className="text-xs uppercase tracking-wide text-gray-300">{label}</div>
+                <div className="text-3xl font-bold">{scoreboard[side]}</div>
+                <div className="mt-1 flex justify-center gap-1 text-xs">
+                  {[6, 1, 2, -1].map((delta) => (
+                    <button key={delta} type="button" className="rounded-lg border border-white/30 bg-white/5 px-2 py-1" onClick={() => adjustScore(side, delta)}>
+                      {delta > 0 ? `+${delta}` : "−1"}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+          <div className="mt-2 flex flex-wrap items-center justify-between gap-2 text-sm">
+            <span className="flex items-center gap-1">
+              <button type="button" aria-label="Previous period" className="rounded-lg border border-white/30 bg-white/5 px-2 py-0.5 disabled:opacity-40" disabled={scoreboard.period <= 1} onClick={() => changePeriod(-1)}>◀</button>
+              <span className="w-10 text-center font-semibold">{periodLabel(settings, scoreboard.period)}</span>
+              <button type="button" aria-label="Next period" className="rounded-lg border border-white/30 bg-white/5 px-2 py-0.5" onClick={() => changePeriod(1)}>▶</button>
+            </span>
+            {settings.clockMinutes > 0 && (
+              <span className="flex items-center gap-2">
+                <GameClock clock={state.clock}>
+                  {(ms) => <span className={`font-mono text-lg ${ms === 0 ? "text-red-300" : ""}`}>{formatClock(ms)}</span>}
+                </GameClock>
+                <button type="button" className="rounded-lg border border-white/30 bg-white/5 px-2 py-0.5" onClick={toggleClock}>{state.clock?.endsAt ? "Pause" : "Start"}</button>
+                <button type="button" className="rounded-lg border border-white/30 bg-white/5 px-2 py-0.5" onClick={resetClock}>Reset</button>
+              </span>
+            )}
+          </div>
+        </section>
+
         {/* Current Assignments */}
         <section className="rounded-2xl border border-white/10 bg-white/5 p-4">
           <div className="mb-2 flex items-center justify-between">
             <h2 className="text-lg font-semibold">Current Assignments</h2>
-            <span className="text-sm text-gray-300">{lastEntry ? `${lastEntry.phase} • Series ${lastEntry.series}` : "(none yet)"}</span>
+            <span className="text-sm text-gray-300">{lastEntry ? `${lastEntry.phase} • Series ${lastEntry.series}${lastEntry.overridden ? " • edited" : ""}` : "(none yet)"}</span>
           </div>
           <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
             <FormationBoard
-              title="Offense"
-              layout={OFFENSE_LAYOUT}
+              title={`Offense • ${boardFormation("offense").name}`}
+              formation={boardFormation("offense")}
               mapping={lastEntry?.offense || {}}
               sitIds={lastEntry?.sitIds || []}
+              outIds={lastEntry?.outIds || []}
               isActive={lastEntry?.phase === "Offense"}
               action={(
-                <button
-                  type="button"
-                  className="rounded-xl border border-white/30 bg-white/5 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-gray-200 hover:border-white/60"
-                  onClick={() => nextSeries('Offense')}
-                >
-                  Run Offense
-                </button>
+                <div className="flex items-center gap-2">
+                  <select
+                    aria-label="Offense formation for the next series"
+                    className="max-w-[8rem] rounded-lg border border-white/20 bg-gray-900 px-1 py-1 text-xs"
+                    value={activeFormationFor(state, "offense").id}
+                    onChange={(e) => selectFormation("offense", e.target.value)}
+                  >
+                    {formationsForTeamSize(state, "offense").map((f) => (<option key={f.id} value={f.id}>{f.name}</option>))}
+                  </select>
+                  <button
+                    type="button"
+                    className="rounded-xl border border-white/30 bg-white/5 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-gray-200 hover:border-white/60"
+                    onClick={() => nextSeries('Offense')}
+                  >
+                    Run Offense{nextPlannedOffense ? " • plan" : ""}
+                  </button>
+                </div>
               )}
             />
             <FormationBoard
-              title="Defense"
-              layout={DEFENSE_LAYOUT}
+              title={`Defense • ${boardFormation("defense").name}`}
+              formation={boardFormation("defense")}
               mapping={lastEntry?.defense || {}}
               sitIds={lastEntry?.sitIds || []}
+              outIds={lastEntry?.outIds || []}
               isActive={lastEntry?.phase === "Defense"}
               action={(
-                <button
-                  type="button"
-                  className="rounded-xl border border-white/30 bg-white/5 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-gray-200 hover:border-white/60"
-                  onClick={() => nextSeries('Defense')}
-                >
-                  Run Defense
-                </button>
+                <div className="flex items-center gap-2">
+                  <select
+                    aria-label="Defense formation for the next series"
+                    className="max-w-[8rem] rounded-lg border border-white/20 bg-gray-900 px-1 py-1 text-xs"
+                    value={activeFormationFor(state, "defense").id}
+                    onChange={(e) => selectFormation("defense", e.target.value)}
+                  >
+                    {formationsForTeamSize(state, "defense").map((f) => (<option key={f.id} value={f.id}>{f.name}</option>))}
+                  </select>
+                  <button
+                    type="button"
+                    className="rounded-xl border border-white/30 bg-white/5 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-gray-200 hover:border-white/60"
+                    onClick={() => nextSeries('Defense')}
+                  >
+                    Run Defense{nextPlannedDefense ? " • plan" : ""}
+                  </button>
+                </div>
               )}
             />
           </div>
+          {(lastEntry?.warnings?.length > 0 || lastEntry?.overrideWarnings?.length > 0) && (
+            <ul className="mt-3 space-y-1 rounded-xl border border-amber-400/40 bg-amber-500/10 p-3 text-xs text-amber-100">
+              {[...(lastEntry.warnings || []), ...(lastEntry.overrideWarnings || [])].map((warning) => (<li key={warning}>⚠ {warning}</li>))}
+            </ul>
+          )}
+          {lastEntry && (
+            <div className="mt-3 flex flex-wrap items-center gap-1 text-xs">
+              <span className="mr-1 text-gray-300">Series {lastEntry.series} result:</span>
+              {SERIES_RESULTS.map(({ key, label }) => (
+                <button key={key} type="button" aria-pressed={lastEntry.result === key}
+                  className={`rounded-lg border px-2 py-1 ${lastEntry.result === key ? "border-emerald-400/60 bg-emerald-500/20 text-emerald-100" : "border-white/20 bg-white/5"}`}
+                  onClick={() => setSeriesResult(key)}>
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
         </section>
 
+        {/* Stat pad for the current series */}
+        {lastEntry && (
+          <section className="rounded-2xl border border-white/10 bg-white/5 p-3">
+            <button
+              className="flex w-full items-center justify-between rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-left"
+              onClick={() => setShowStatPad((v) => !v)}
+            >
+              <span className="text-lg font-semibold">Stat pad</span>
+              <span className="text-sm text-gray-300">{lastEntry.phase} • Series {lastEntry.series} • {showStatPad ? "Hide" : "Show"}</span>
+            </button>
+            {showStatPad && (() => {
+              const side = sideOfPhase(lastEntry.phase);
+              const formation = entryFormation(lastEntry);
+              const mapping = lastEntry[side] || {};
+              const stats = STAT_TYPES.filter((stat) => stat.sides.includes(side));
+              return (
+                <div className="mt-3 space-y-2 text-xs">
+                  <p className="text-gray-300">Tap to add a stat; hold Shift (or use Undo) to take one back.</p>
+                  {formationRoles(formation).filter((role) => mapping[role]).map((role) => {
+                    const pid = mapping[role];
+                    const counts = lastEntry.stats?.[pid] || {};
+                    return (
+                      <div key={role} className="flex flex-wrap items-center gap-2 rounded-xl bg-white/10 p-2">
+                        <span className="w-16 font-semibold uppercase tracking-wide text-gray-300">{roleDisplayName(role, buildRoleCatalog([formation]))}</span>
+                        <PlayerTag id={pid} />
+                        <span className="ml-auto flex flex-wrap gap-1">
+                          {stats.map((stat) => (
+                            <button key={stat.key} type="button"
+                              className={`rounded-lg border px-2 py-1 ${counts[stat.key] ? "border-emerald-400/60 bg-emerald-500/20 text-emerald-100" : "border-white/20 bg-white/5"}`}
+                              onClick={(e) => recordStat(pid, stat.key, e.shiftKey ? -1 : 1)}>
+                              {stat.label}{counts[stat.key] ? ` ${counts[stat.key]}` : ""}
+                            </button>
+                          ))}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+              );
+            })()}
+          </section>
+        )}
+
         {/* Next Bench Preview */}
         <section className="rounded-2xl border border-white/10 bg-white/5 p-3">
           <div className="mb-1 font-semibold">Next bench (preview)</div>
           <div className="flex flex-wrap gap-2">
-            {queue.slice(0, sitCount).map((id) => (<PlayerTag key={id} id={id} />))}
+            {nextBenchIds.map((id) => (<PlayerTag key={id} id={id} />))}
             {!sitCount && <div className="text-sm text-gray-300">(no one sits)</div>}
           </div>
+          <OutRow ids={outPlayers.map((p) => p.id)} showStatus />
+          {(state.locks || []).length > 0 && (
+            <div className="mt-3">
+              <div className="mb-1 font-semibold">Locks</div>
+              <div className="flex flex-wrap gap-2 text-xs">
+                {state.locks.map((lock) => (
+                  <span key={lock.id} className="inline-flex items-center gap-2 rounded-xl border border-sky-400/40 bg-sky-500/10 px-2 py-1 text-sky-100">
+                    🔒 {describeLock(lock, byId, catalog)} • {lock.remaining} left
+                    <button type="button" aria-label="Unlock" className="text-sky-200 hover:text-white" onClick={() => removeLock(lock.id)}>✕</button>
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+        </section>
+
+        {/* Game Plan */}
+        <section className="rounded-2xl border border-white/10 bg-white/5 p-3">
+          <button
+            className="flex w-full items-center justify-between rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-left"
+            onClick={() => setShowPlan((v) => !v)}
+          >
+            <span className="text-lg font-semibold">Plan Game</span>
+            <span className="text-sm text-gray-300">
+              {plan ? `${plan.slots.filter((slot) => slot.played).length}/${plan.slots.length} played • ` : ""}
+              {showPlan ? "Hide" : "Show"}
+            </span>
+          </button>
+          {showPlan && (
+            <div className="mt-3 space-y-3 text-sm">
+              <div className="flex flex-wrap items-end gap-3">
+                <label className="flex flex-col gap-1 text-xs text-gray-300">
+                  Offense series
+                  <input type="number" min={0} className="w-20 rounded border border-white/20 bg-transparent px-2 py-1 text-sm text-gray-100" value={planForm.offenseCount}
+                    onChange={(e) => setPlanForm((f) => ({ ...f, offenseCount: Math.max(0, Math.floor(+e.target.value || 0)) }))} />
+                </label>
+                <label className="flex flex-col gap-1 text-xs text-gray-300">
+                  Defense series
+                  <input type="number" min={0} className="w-20 rounded border border-white/20 bg-transparent px-2 py-1 text-sm text-gray-100" value={planForm.defenseCount}
+                    onChange={(e) => setPlanForm((f) => ({ ...f, defenseCount: Math.max(0, Math.floor(+e.target.value || 0)) }))} />
+                </label>
+                <label className="flex flex-col gap-1 text-xs text-gray-300">
+                  First
+                  <select className="rounded border border-white/20 bg-gray-900 px-2 py-1 text-sm text-gray-100" value={planForm.firstPhase}
+                    onChange={(e) => setPlanForm((f) => ({ ...f, firstPhase: e.target.value }))}>
+                    <option value="Offense">Offense</option>
+                    <option value="Defense">Defense</option>
+                  </select>
+                </label>
+                <button type="button" className="rounded-xl border border-white/30 bg-white/10 px-3 py-1" onClick={generatePlan}>
+                  {plan ? "New plan" : "Generate plan"}
+                </button>
+              </div>
+              {plan && (
+                <>
+                  <div className="flex flex-wrap gap-2">
+                    <button type="button" className="rounded-xl border border-white/30 bg-white/10 px-3 py-1 text-xs" onClick={() => regeneratePlanSlots("Regenerate plan", (slot) => !slot.locked)}>Regenerate unlocked</button>
+                    <button type="button" className="rounded-xl border border-white/30 bg-white/10 px-3 py-1 text-xs" onClick={clearPlan}>Clear plan</button>
+                  </div>
+                  {planStale && (
+                    <div className="rounded-xl border border-amber-400/40 bg-amber-500/10 p-2 text-xs text-amber-100">
+                      ⚠ Attendance changed since this plan was made. Regenerate unlocked series, or those series will be drawn fresh.
+                    </div>
+                  )}
+                  <ol className="space-y-2">
+                    {plan.slots.map((slot, index) => {
+                      const mapping = (slot.phase === "Offense" ? slot.offense : slot.defense) || {};
+                      const slotFormation = entryFormation(slot);
+                      const roles = formationRoles(slotFormation);
+                      const slotCatalog = buildRoleCatalog([slotFormation]);
+                      return (
+                        <li key={slot.id} className={`rounded-xl bg-white/10 p-2 text-xs ${slot.played ? "opacity-60" : ""}`.trim()}>
+                          <div className="mb-1 flex items-center justify-between gap-2">
+                            <span className="font-semibold">
+                              #{index + 1} {slot.phase}
+                              {slot.played && " • played"}
+                              {(slot.id === nextPlannedOffense?.id || slot.id === nextPlannedDefense?.id) && " • next"}
+                            </span>
+                            {!slot.played && (
+                              <span className="flex gap-2">
+                                <button type="button" aria-pressed={slot.locked} className={`rounded-lg border px-2 py-1 ${slot.locked ? "border-amber-400/60 bg-amber-500/10 text-amber-100" : "border-white/30 bg-white/10"}`} onClick={() => togglePlanSlotLock(slot.id)}>
+                                  {slot.locked ? "locked" : "lock"}
+                                </button>
+                                <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1 disabled:opacity-40" disabled={slot.locked} onClick={() => regeneratePlanSlots(`Regenerate plan series ${index + 1}`, (candidate) => candidate.id === slot.id)}>
+                                  regenerate
+                                </button>
+                              </span>
+                            )}
+                          </div>
+                          <div className="text-gray-200">
+                            {roles.map((role) => `${roleDisplayName(role, slotCatalog)} ${byId.get(mapping[role])?.name || "(open)"}`).join(" · ")}
+                          </div>
+                          <div className="text-gray-400">Sit: {slot.sitIds.length ? formatNames(slot.sitIds, byId) : "(none)"}</div>
+                        </li>
+                      );
+                    })}
+                  </ol>
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full border-collapse text-xs">
+                      <thead>
+                        <tr className="text-left text-gray-300">
+                          <th className="p-2">Player</th>
+                          <th className="p-2 border-l border-white/10">Sits</th>
+                          <th className="p-2 border-l border-white/10">Most in a row</th>
+                          <th className="p-2 border-l border-white/10">Roles</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {planSummary.map((row) => (
+                          <tr key={row.id}>
+                            <td className="p-2 whitespace-nowrap">{row.name}</td>
+                            <td className="p-2 border-l border-white/10">{row.sits}</td>
+                            <td className={"p-2 border-l border-white/10" + (row.longestSitStreak > 1 ? " text-amber-200" : "")}>{row.longestSitStreak}</td>
+                            <td className="p-2 border-l border-white/10">
+                              {Object.entries(row.roles).map(([group, count]) => `${group}×${count}`).join(" ") || "—"}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </section>
+
+        {/* Stats (this game, an archived game or the season, optionally by role) */}
+        <section className="rounded-2xl border border-white/10 bg-white/5 p-3">
+          <div className="flex w-full items-center justify-between gap-2 rounded-xl border border-white/10 bg-white/5 px-3 py-2">
+            <span className="text-lg font-semibold">Stats</span>
+            <span className="flex gap-1 text-sm">
+              {[["game", "Game"], ["season", "Season"]].map(([view, label]) => (
+                <button key={view} type="button" aria-pressed={statsView === view}
+                  className={`rounded-lg border px-2 py-0.5 ${statsView === view ? "border-white/60 bg-white/15" : "border-white/20 text-gray-300"}`}
+                  onClick={() => setStatsView((current) => (current === view ? null : view))}>
+                  {label}
+                </button>
+              ))}
+            </span>
+          </div>
+          {statsView && (() => {
+            const archivedGames = (seasonHistory || []).map((game, index) => ({ game, index })).filter(({ game }) => isPlainObject(game.stats));
+            const pastStats = statsView === "game" && statsGame !== "" ? seasonHistory[Number(statsGame)]?.stats : null;
+            const statsFor = (p) => {
+              if (statsView === "season") return foldGameIntoSeason(p, gameStats).stats;
+              return pastStats ? normalizeStatsByRole(pastStats[p.id]) : gameStats[p.id] || {};
+            };
+            const rows = roster.flatMap((p) => {
+              const byRole = statsFor(p);
+              if (!statsByRole) return [{ key: p.id, name: p.name, role: null, counts: totalStats(byRole), active: p.active }];
+              return Object.entries(byRole)
+                .filter(([, counts]) => Object.values(counts).some(Boolean))
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([family, counts], index) => ({ key: `${p.id}-${family}`, name: index === 0 ? p.name : "", role: family.split(":")[1], counts, active: p.active }));
+            });
+            return (
+              <div className="mt-3 space-y-2">
+                <div className="flex flex-wrap items-center gap-3">
+                  {statsView === "game" && archivedGames.length > 0 && (
+                    <select aria-label="Game" className="rounded border border-white/20 bg-gray-900 px-2 py-1 text-sm text-gray-100"
+                      value={pastStats ? statsGame : ""} onChange={(e) => setStatsGame(e.target.value)}>
+                      <option value="">This game (#{gameNumber || 1})</option>
+                      {archivedGames.slice().reverse().map(({ game, index }) => (
+                        <option key={index} value={String(index)}>
+                          Game #{game.game}{game.endedAt ? ` • ${new Date(game.endedAt).toLocaleDateString()}` : ""}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  <label className="flex items-center gap-2 text-xs text-gray-300">
+                    <input type="checkbox" checked={statsByRole} onChange={() => setStatsByRole((v) => !v)} />
+                    Break down by role
+                  </label>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full border-collapse text-xs sm:text-sm">
+                    <thead>
+                      <tr className="text-left">
+                        <th className="p-2">Player</th>
+                        {statsByRole && <th className="p-2 border-l border-white/10">Role</th>}
+                        {STAT_TYPES.map((stat) => (<th key={stat.key} className="p-2 border-l border-white/10">{stat.label}</th>))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map((row) => (
+                        <tr key={row.key} className={!row.active ? "opacity-60" : undefined}>
+                          <td className="p-2 whitespace-nowrap">{row.name}</td>
+                          {statsByRole && <td className="p-2 border-l border-white/10">{row.role}</td>}
+                          {STAT_TYPES.map((stat) => (<td key={stat.key} className="p-2 border-l border-white/10">{row.counts[stat.key] || 0}</td>))}
+                        </tr>
+                      ))}
+                      {!rows.length && (
+                        <tr><td className="p-2 text-gray-400" colSpan={STAT_TYPES.length + 2}>(no stats yet)</td></tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            );
+          })()}
         </section>
 
         {/* Tally Board (mobile scroll) */}
@@ -847,6 +4604,19 @@ export default function App() {
             <span className="text-lg font-semibold">Tally Board</span>
             <span className="text-sm text-gray-300">{showTally ? "Hide" : "Show"}</span>
           </button>
+          {showTally && history.length > 0 && (
+            <div className="mt-3 flex flex-wrap gap-1 text-xs" aria-label="Average strength per series">
+              <span className="mr-1 text-gray-300">Strength:</span>
+              {history.map((entry) => {
+                const strength = entry.strength ?? lineupStrength(entry.playIds, byId, entryMeasure(entry));
+                return (
+                  <span key={entry.series} className="rounded-lg border border-white/10 bg-white/10 px-2 py-0.5" title={entry.strengthTarget != null ? `Team average ${entry.strengthTarget.toFixed(1)}` : undefined}>
+                    #{entry.series} {entry.phase === "Offense" ? "O" : "D"} {strength?.toFixed(1) ?? "–"}
+                  </span>
+                );
+              })}
+            </div>
+          )}
           {showTally && (
             <div className="mt-3 overflow-x-auto">
               <table className="min-w-full border-collapse text-xs sm:text-sm">
@@ -854,28 +4624,28 @@ export default function App() {
                   <tr className="text-left">
                     <th className="p-2">Player</th>
                     <th className="p-2 border-l border-white/10">Sits</th>
-                    <th className="p-2 border-l border-white/10 text-center" colSpan={OFFENSE_ROLES.length}>Offense</th>
-                    <th className="p-2 border-l border-white/10 text-center" colSpan={DEFENSE_ROLES.length}>Defense</th>
+                    <th className="p-2 border-l border-white/10 text-center" colSpan={tallyRoles.offense.length}>Offense</th>
+                    <th className="p-2 border-l border-white/10 text-center" colSpan={tallyRoles.defense.length}>Defense</th>
                   </tr>
                   <tr className="text-left text-[11px] uppercase tracking-wide text-gray-300">
                     <th className="p-2"></th>
                     <th className="p-2 border-l border-white/10"></th>
-                    {OFFENSE_ROLES.map((r, idx) => (
+                    {tallyRoles.offense.map((r, idx) => (
                       <th
                         key={r}
                         className={"p-2" + (idx === 0 ? " border-l border-white/10" : "")}
                         title={r}
                       >
-                        {ROLE_META[r]?.label || r}
+                        {catalog[r]?.label || r}
                       </th>
                     ))}
-                    {DEFENSE_ROLES.map((r, idx) => (
+                    {tallyRoles.defense.map((r, idx) => (
                       <th
                         key={r}
                         className={"p-2" + (idx === 0 ? " border-l border-white/10" : "")}
                         title={r}
                       >
-                        {ROLE_META[r]?.label || r}
+                        {catalog[r]?.label || r}
                       </th>
                     ))}
                   </tr>
@@ -885,11 +4655,11 @@ export default function App() {
                     <tr key={p.id} className={!p.active ? "opacity-60" : undefined}>
                       <td className="p-2 whitespace-nowrap">{p.name}</td>
                       <td className="p-2 border-l border-white/10">{p.sits}</td>
-                      {OFFENSE_ROLES.map((r, idx) => (
-                        <td key={r} className={"p-2" + (idx === 0 ? " border-l border-white/10" : "")}>{p.pos[r]}</td>
+                      {tallyRoles.offense.map((r, idx) => (
+                        <td key={r} className={"p-2" + (idx === 0 ? " border-l border-white/10" : "")}>{p.pos[r] || 0}</td>
                       ))}
-                      {DEFENSE_ROLES.map((r, idx) => (
-                        <td key={r} className={"p-2" + (idx === 0 ? " border-l border-white/10" : "")}>{p.pos[r]}</td>
+                      {tallyRoles.defense.map((r, idx) => (
+                        <td key={r} className={"p-2" + (idx === 0 ? " border-l border-white/10" : "")}>{p.pos[r] || 0}</td>
                       ))}
                     </tr>
                   ))}
@@ -899,14 +4669,172 @@ export default function App() {
           )}
         </section>
 
+        {/* Play Time */}
+        <section className="rounded-2xl border border-white/10 bg-white/5 p-3">
+          <button
+            className="flex w-full items-center justify-between rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-left"
+            onClick={() => setShowPlayTime((v) => !v)}
+          >
+            <span className="text-lg font-semibold">
+              Play Time
+              {playTimeFlags > 0 && <span className="ml-2 rounded-full bg-red-500/30 px-2 py-0.5 text-xs text-red-100">{playTimeFlags} flagged</span>}
+            </span>
+            <span className="text-sm text-gray-300">{showPlayTime ? "Hide" : "Show"}</span>
+          </button>
+          {showPlayTime && (
+            <div className="mt-3 space-y-2">
+              <div className="text-xs text-gray-300">
+                {settings.minPlayPct
+                  ? <>Minimum {settings.minPlayPct}% of series played{settings.minPlayGuard ? ", enforced by the bench queue." : ". Flag only; the bench queue can enforce it (Settings)."}</>
+                  : "No minimum set (Settings)."}
+              </div>
+              {!history.length && <div className="text-sm text-gray-300">(no series yet)</div>}
+              {history.length > 0 && (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full border-collapse text-xs sm:text-sm">
+                    <thead>
+                      <tr className="text-left text-[11px] uppercase tracking-wide text-gray-300">
+                        <th className="p-2">Player</th>
+                        <th className="p-2">Played</th>
+                        <th className="p-2" title="Sits in a row right now">Sit run</th>
+                        <th className="p-2" title="Most series in a row without sitting">Longest on</th>
+                        <th className="p-2"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {playTimeRows.map(({ player, record, status }) => (
+                        <tr key={player.id} className={!player.active ? "opacity-60" : undefined}>
+                          <td className="p-2 whitespace-nowrap">
+                            {player.name}
+                            {player.arrivedAt && <span className="ml-1 text-xs text-violet-200">from #{player.arrivedAt}</span>}
+                          </td>
+                          <td className="p-2 whitespace-nowrap">
+                            <div className="flex items-center gap-2">
+                              <div className="h-2 w-20 overflow-hidden rounded-full bg-white/10">
+                                <div className={`h-full ${status === "below" ? "bg-red-400" : status === "risk" ? "bg-amber-400" : "bg-emerald-400"}`} style={{ width: `${Math.round((record.pct ?? 0) * 100)}%` }} />
+                              </div>
+                              <span>{record.pct === null ? "–" : `${Math.round(record.pct * 100)}%`}</span>
+                              <span className="text-gray-400">{record.played}/{record.seen}</span>
+                            </div>
+                          </td>
+                          <td className="p-2">{record.sitStreak}</td>
+                          <td className="p-2">{record.longestRun}</td>
+                          <td className="p-2 whitespace-nowrap text-xs">
+                            {status === "below" && <span className="rounded-lg bg-red-500/20 px-2 py-0.5 text-red-100">Below {settings.minPlayPct}%</span>}
+                            {status === "risk" && <span className="rounded-lg bg-amber-500/20 px-2 py-0.5 text-amber-100">One sit from {settings.minPlayPct}%</span>}
+                            {nextBenchIds.includes(player.id) && <span className="ml-1 text-gray-400">sits next</span>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </section>
+
+        {/* Season totals (completed games + current game) */}
+        <section className="rounded-2xl border border-white/10 bg-white/5 p-3">
+          <button
+            className="flex w-full items-center justify-between rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-left"
+            onClick={() => setShowSeason((v) => !v)}
+          >
+            <span className="text-lg font-semibold">Season</span>
+            <span className="text-sm text-gray-300">{(seasonHistory || []).length} games archived • {showSeason ? "Hide" : "Show"}</span>
+          </button>
+          {showSeason && (
+            <div className="mt-3 overflow-x-auto">
+              <table className="min-w-full border-collapse text-xs sm:text-sm">
+                <thead>
+                  <tr className="text-left">
+                    <th className="p-2">Player</th>
+                    <th className="p-2 border-l border-white/10">Games</th>
+                    <th className="p-2 border-l border-white/10">Series</th>
+                    <th className="p-2 border-l border-white/10">Sits</th>
+                    <th className="p-2 border-l border-white/10">Capt</th>
+                    <th className="p-2 border-l border-white/10 text-center" colSpan={seasonRoles.offense.length}>Offense</th>
+                    <th className="p-2 border-l border-white/10 text-center" colSpan={seasonRoles.defense.length}>Defense</th>
+                  </tr>
+                  <tr className="text-left text-[11px] uppercase tracking-wide text-gray-300">
+                    <th className="p-2"></th>
+                    <th className="p-2 border-l border-white/10"></th>
+                    <th className="p-2 border-l border-white/10"></th>
+                    <th className="p-2 border-l border-white/10"></th>
+                    <th className="p-2 border-l border-white/10"></th>
+                    {[...seasonRoles.offense, ...seasonRoles.defense].map((r) => (
+                      <th
+                        key={r}
+                        className={"p-2" + (r === seasonRoles.offense[0] || r === seasonRoles.defense[0] ? " border-l border-white/10" : "")}
+                        title={r}
+                      >
+                        {catalog[r]?.label || r}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {roster.map((p) => {
+                    const totals = foldGameIntoSeason(p, gameStats);
+                    return (
+                      <tr key={p.id} className={!p.active ? "opacity-60" : undefined}>
+                        <td className="p-2 whitespace-nowrap">{p.name}</td>
+                        <td className="p-2 border-l border-white/10">{totals.games}</td>
+                        <td className="p-2 border-l border-white/10">{totals.series}</td>
+                        <td className="p-2 border-l border-white/10">{totals.sits}</td>
+                        <td className="p-2 border-l border-white/10">{p.captainCount}</td>
+                        {[...seasonRoles.offense, ...seasonRoles.defense].map((r) => (
+                          <td key={r} className={"p-2" + (r === seasonRoles.offense[0] || r === seasonRoles.defense[0] ? " border-l border-white/10" : "")}>{totals.pos[r] || 0}</td>
+                        ))}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <p className="mt-2 text-xs text-gray-400">Includes the game in progress.</p>
+              {(seasonHistory || []).some((game) => game.score) && (
+                <ul className="mt-3 space-y-1 text-xs">
+                  {seasonHistory.filter((game) => game.score).map((game) => {
+                    const { us, them } = game.score;
+                    const counts = SERIES_RESULTS.map(({ key, label }) => [label, (game.results || []).filter((r) => r.result === key).length])
+                      .filter(([, count]) => count);
+                    return (
+                      <li key={`${game.game}-${game.endedAt}`} className="rounded-lg bg-white/10 px-2 py-1">
+                        <span className="font-semibold">Game {game.game}: {us}–{them} {us > them ? "W" : us < them ? "L" : "T"}</span>
+                        {counts.length > 0 && <span className="text-gray-300"> • {counts.map(([label, count]) => `${label} ${count}`).join(" · ")}</span>}
+                        {game.goals?.length > 0 && <span className="text-gray-300"> • goals met {game.goals.filter((goal) => goal.met).length}/{game.goals.length}</span>}
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </div>
+          )}
+        </section>
+
         {/* Notes */}
         <section className="rounded-2xl border border-white/10 bg-white/5 p-3 text-xs text-gray-300">
           <details>
             <summary className="cursor-pointer font-medium">Notes (tap)</summary>
               <ul className="mt-2 list-disc space-y-1 pl-5">
                 <li>Positions are random-balanced per game: prefer 0-count, otherwise minimum count; tie-break random.</li>
-                <li>Bench rotation is randomized with first-offense priorities and no triple-sit (CJ, Niko, Barrett).</li>
-                <li>Start New Game clears **all positions & sits**.</li>
+                <li>Optimal assignment fills the whole series at once, so restricted players always get a role they're allowed to play when one is open.</li>
+                <li>Bench rotation is randomized, then Bench Rules apply in order: sit first on opening offense, must play opening defense, never bench a group all at once.</li>
+                <li>Formations follow the team size (built-in 4v4–8v8 presets); pick a custom one of the same size above each board. Each series remembers the formation it used, so later edits don't rewrite history.</li>
+                <li>Drag players on the current board (or tap two spots) to swap them; the series, tallies and bench queue are rewritten to match.</li>
+                <li>Locks (Attendance → lock) put a player in a role, on the field, or on the bench for the next few series, ahead of bench rules and balancing. They count down only for series that applied them (not while the player is away) and drop off by themselves. A planned series that breaks a lock is redrawn when it comes up.</li>
+                <li>Player profiles (Add Player, or Attendance → profile) hold a jersey number, nickname, preferred positions, a parent note and a photo; numbers and names must be unique. Board tags read “#7 Nickname”.</li>
+                <li>Preferred positions and development goals (“at least 2 snaps at WR”, set in the profile) only break ties: balancing decides first, then an unmet goal, then a preference, then chance. Reports → Development goals shows which were met.</li>
+                <li>Checking a player in mid-game marks them late: role balancing credits them the team's average count at each role so far (so they don't get every QB and Center snap), and they join the back of the bench queue. Tap ✕ on the late tag to treat them as on time.</li>
+                <li>Mark an injured player out (Attendance → out) for a number of series or until you tap back in. They leave the rotation without being charged sits, each series records who was out, and on return they join the back of the bench queue.</li>
+                <li>Play Time shows each player's share of series played; with the guard on, the bench skips anyone a sit would take under the minimum, and nobody sits twice in a row while a teammate on the field hasn't sat. Bench rules and locks still win.</li>
+                <li>Strength balance uses the 1–5 ratings, each player's averaged over the formation's slots (a family rating counts for its slots): the bench is chosen so the lineup's average stays within the allowed gap of the team's, before bench rules and locks. A series warns when those push it back outside the gap.</li>
+                <li>Stat pad records catches, TDs, flag pulls, INTs and sacks against the current series and the role each player had; Start New Game adds them to the season.</li>
+                <li>The scoreboard and each series' result are saved with the series and, on Start New Game, with the archived game.</li>
+                <li>Plan Game pre-draws every series with the same engine; Run Offense / Run Defense then play the next planned series of that side.</li>
+                <li>Captains are picked from present players with the fewest captaincies this season; mark a player ✕ Capt in Attendance to skip them.</li>
+                <li>Undo / Redo step through every change (last {UNDO_LIMIT}); the history is kept until the page reloads.</li>
+                <li>Start New Game adds this game to the season totals, then clears **all positions & sits**. Both resets ask first and save a backup you can restore from Settings.</li>
               </ul>
           </details>
         </section>
@@ -915,10 +4843,17 @@ export default function App() {
       {/* Sticky bottom control bar */}
       <div className="fixed inset-x-0 bottom-0 z-20 bg-gray-900/95 backdrop-blur border-t border-white/10">
         <div className="mx-auto max-w-6xl px-4 py-3 space-y-3">
-          <button className="w-full h-10 rounded-xl text-sm border border-white/20 bg-white/5" onClick={undo} disabled={!history.length}>Undo</button>
+          <div className="grid grid-cols-2 gap-2">
+            <button className="h-10 truncate rounded-xl border border-white/20 bg-white/5 px-2 text-sm disabled:opacity-40" onClick={undo} disabled={!undoStep}>
+              {undoStep ? `Undo: ${undoStep.label}` : "Undo"}
+            </button>
+            <button className="h-10 truncate rounded-xl border border-white/20 bg-white/5 px-2 text-sm disabled:opacity-40" onClick={redo} disabled={!redoStep}>
+              {redoStep ? `Redo: ${redoStep.label}` : "Redo"}
+            </button>
+          </div>
           <div className="grid grid-cols-3 gap-2 text-xs">
-            <button className="rounded-xl border border-white/20 bg-white/5 py-2" onClick={startNewGame}>Start New Game</button>
-            <button className="rounded-xl border border-white/20 bg-white/5 py-2" onClick={resetPositionsOnly}>Reset Positions</button>
+            <button className="rounded-xl border border-white/20 bg-white/5 py-2" onClick={() => confirmReset("newGame")}>Start New Game</button>
+            <button className="rounded-xl border border-white/20 bg-white/5 py-2" onClick={() => confirmReset("resetPositions")}>Reset Positions</button>
             <button className="rounded-xl border border-white/20 bg-white/5 py-2" onClick={addPlayer}>Add Player</button>
           </div>
         </div>
@@ -933,12 +4868,96 @@ export default function App() {
               <button className="rounded-xl border border-white/30 bg-white/10 px-3 py-1 text-sm" onClick={() => setState((s)=>({...s, ui:{...s.ui, showAttendance:false}}))}>Close</button>
             </div>
             <div className="p-3 space-y-2 max-h-[70vh] overflow-auto">
-              {roster.map((p) => (
-                 <div key={p.id} className="flex flex-col gap-2 rounded-xl bg-white/10 px-3 py-2 sm:flex-row sm:items-center sm:justify-between">
-                  <label className="flex items-center gap-3 text-base">
-                    <input type="checkbox" className="h-5 w-5" checked={p.active} onChange={() => toggleActive(p.id)} />
-                    <span>{p.name}</span>
+              {!roster.length && (
+                <div className="space-y-2 rounded-xl bg-white/10 p-3 text-sm">
+                  <p className="text-gray-300">No players yet. Use Add Player, import a CSV, or start from the sample roster.</p>
+                  <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={loadSampleRoster}>Load sample roster</button>
+                </div>
+              )}
+              <div className="space-y-2 rounded-xl bg-white/10 p-3 text-sm">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <span className="text-xs text-gray-300">Columns: Name, Number, Nickname, canQB, canCenter, Allowed roles (split with ;), Parent note.</span>
+                  <label className="cursor-pointer rounded-lg border border-white/30 bg-white/10 px-2 py-1">
+                    Import roster CSV
+                    <input type="file" accept="text/csv,.csv" className="hidden" onChange={importRosterCsv} />
                   </label>
+                </div>
+                {rosterCsv && (
+                  <div className="space-y-2 text-xs">
+                    <div className="font-semibold">{rosterCsv.fileName}</div>
+                    {rosterCsv.errors.length > 0 && (
+                      <ul className="space-y-1 text-red-200">
+                        {rosterCsv.errors.map((error) => (<li key={error}>✕ {error}</li>))}
+                      </ul>
+                    )}
+                    {rosterCsv.rows.length > 0 && (
+                      <>
+                        <ul className="max-h-48 space-y-1 overflow-auto">
+                          {rosterCsv.rows.map((row) => (
+                            <li key={row.line} className={row.status === "new" ? "text-emerald-200" : row.status === "error" ? "text-red-200" : "text-amber-200"}>
+                              <span className="font-medium">
+                                {row.status === "new" ? "+" : row.status === "error" ? "✕" : "="} {row.name || `Line ${row.line}`}
+                                {row.number && ` #${row.number}`}
+                              </span>
+                              {row.status === "duplicate" && " — already on the roster"}
+                              {row.status === "repeat" && " — repeated in the file, skipped"}
+                              {!row.canQB && " • no QB"}
+                              {!row.canCenter && " • no Center"}
+                              {row.roleRestrictions.offense.length + row.roleRestrictions.defense.length > 0 && ` • ${rolesCell([...row.roleRestrictions.offense, ...row.roleRestrictions.defense], catalog)}`}
+                              {row.warnings.map((warning) => (<div key={warning} className="pl-4 text-gray-400">{warning}</div>))}
+                            </li>
+                          ))}
+                        </ul>
+                        {rosterCsv.rows.some((row) => row.status === "duplicate") && (
+                          <label className="flex items-center gap-2">
+                            <span>Names already on the roster:</span>
+                            <select className="rounded border border-white/20 bg-gray-900 px-2 py-1" value={rosterCsv.duplicates}
+                              onChange={(e) => setRosterCsv((preview) => ({ ...preview, duplicates: e.target.value }))}>
+                              <option value="skip">Skip</option>
+                              <option value="update">Update from file</option>
+                            </select>
+                          </label>
+                        )}
+                      </>
+                    )}
+                    <div className="flex flex-wrap gap-2">
+                      <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1 disabled:opacity-40"
+                        disabled={!rosterCsv.rows.some((row) => row.status === "new" || (row.status === "duplicate" && rosterCsv.duplicates === "update"))}
+                        onClick={applyRosterCsv}>
+                        Add {rosterCsv.rows.filter((row) => row.status === "new").length} new
+                        {rosterCsv.duplicates === "update" ? `, update ${rosterCsv.rows.filter((row) => row.status === "duplicate").length}` : ""}
+                      </button>
+                      <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={() => setRosterCsv(null)}>Cancel</button>
+                    </div>
+                  </div>
+                )}
+              </div>
+              {roster.map((p) => (
+                 <div key={p.id} className="flex flex-col gap-2 rounded-xl bg-white/10 px-3 py-2 sm:flex-row sm:flex-wrap sm:items-center sm:justify-between">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <label className="flex items-center gap-3 text-base">
+                      <input type="checkbox" className="h-5 w-5" checked={p.active} onChange={() => toggleActive(p.id)} />
+                      <PlayerAvatar player={p} />
+                      <span>
+                        {p.number && <span className="text-gray-300">#{p.number} </span>}
+                        {p.name}
+                        {p.nickname && <span className="text-sm text-gray-300"> “{p.nickname}”</span>}
+                      </span>
+                    </label>
+                    {p.active && p.arrivedAt && (
+                      <span className="inline-flex items-center gap-1 rounded-lg border border-violet-400/40 bg-violet-500/10 px-2 py-0.5 text-xs text-violet-100" title="Role balancing counts them as having had the team's average share before they arrived">
+                        late, from series {p.arrivedAt}
+                        <button type="button" aria-label="Treat as on time" className="text-violet-200 hover:text-white" onClick={() => clearLateArrival(p.id)}>✕</button>
+                      </span>
+                    )}
+                    {goalProgress(p, catalog).map((goal) => (
+                      <span key={goal.id} title={`Goal: at least ${goal.target} snaps at ${familyKeyLabel(goal.key)} this game`}
+                        className={`rounded-lg border px-2 py-0.5 text-xs ${goal.met ? "border-emerald-400/50 bg-emerald-500/15 text-emerald-100" : "border-amber-400/40 bg-amber-500/10 text-amber-100"}`}>
+                        🎯 {familyKeyLabel(goal.key)} {goal.snaps}/{goal.target}
+                      </span>
+                    ))}
+                  </div>
+                  {p.parentNote && <div className="w-full text-xs text-gray-400 sm:order-last">Parent: {p.parentNote}</div>}
                   <div className="flex flex-wrap items-center gap-3 text-xs sm:text-sm">
                     <div className="flex items-center gap-2">
                       <button
@@ -967,11 +4986,416 @@ export default function App() {
                         <span className="text-base leading-none">{p.canCenter ? "✓" : "✕"}</span>
                         <span>C</span>
                       </button>
+                      <button
+                        type="button"
+                        aria-pressed={!!p.captainEligible}
+                        title={`Captain ${p.captainCount}× this season`}
+                        onClick={() => toggleAbilityFlag(p.id, "captainEligible")}
+                        className={`flex items-center gap-1 rounded-lg border px-2 py-1 font-semibold uppercase tracking-wide transition focus:outline-none focus:ring-2 focus:ring-white/40 focus:ring-offset-2 focus:ring-offset-gray-900 ${
+                          p.captainEligible
+                            ? "border-emerald-400/60 bg-emerald-500/20 text-emerald-100"
+                            : "border-red-400/60 bg-red-500/10 text-red-200"
+                        }`}
+                      >
+                        <span className="text-base leading-none">{p.captainEligible ? "✓" : "✕"}</span>
+                        <span>Capt</span>
+                      </button>
                     </div>               
+                    <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={() => editProfile(p.id)}>profile</button>
+                    <button
+                      type="button"
+                      aria-expanded={rolesEditorId === p.id}
+                      className={`rounded-lg border px-2 py-1 ${hasRoleRestrictions(p) || hasRatings(p) ? "border-amber-400/60 bg-amber-500/10 text-amber-100" : "border-white/30 bg-white/10"}`}
+                      onClick={() => setRolesEditorId((current) => (current === p.id ? null : p.id))}
+                    >
+                      roles
+                    </button>
+                    <button
+                      type="button"
+                      aria-expanded={lockForm?.playerId === p.id}
+                      className={`rounded-lg border px-2 py-1 ${(state.locks || []).some((lock) => lock.playerId === p.id) ? "border-sky-400/60 bg-sky-500/10 text-sky-100" : "border-white/30 bg-white/10"}`}
+                      onClick={() => setLockForm((current) => (current?.playerId === p.id ? null : { playerId: p.id, type: "role", role: lockRoles[0] || "", count: 1 }))}
+                    >
+                      lock
+                    </button>
+                    {p.active && (
+                      <button
+                        type="button"
+                        title={p.out ? describeOut(p.out) : "Injured or out for a few series; missed series don't count as sits"}
+                        className={`rounded-lg border px-2 py-1 ${p.out ? "border-rose-400/60 bg-rose-500/10 text-rose-100" : "border-white/30 bg-white/10"}`}
+                        onClick={() => (p.out ? clearOut(p.id) : markOut(p.id))}
+                      >
+                        {p.out ? "🩹 back in" : "out"}
+                      </button>
+                    )}
                     <button className="rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={() => removePlayer(p.id)}>remove</button>
                   </div>
+                  {lockForm?.playerId === p.id && (
+                    <div className="w-full space-y-2 border-t border-white/10 pt-2 text-xs">
+                      {(state.locks || []).filter((lock) => lock.playerId === p.id).map((lock) => (
+                        <div key={lock.id} className="flex items-center justify-between gap-2">
+                          <span>🔒 {describeLock(lock, byId, catalog)} • {lock.remaining} more series</span>
+                          <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={() => removeLock(lock.id)}>unlock</button>
+                        </div>
+                      ))}
+                      <div className="flex flex-wrap items-end gap-2">
+                        <label className="flex flex-col gap-1 text-gray-300">
+                          Lock
+                          <select className="rounded border border-white/20 bg-gray-900 px-2 py-1 text-gray-100" value={lockForm.type}
+                            onChange={(e) => setLockForm((f) => ({ ...f, type: e.target.value }))}>
+                            {LOCK_TYPES.map(({ type, label }) => (<option key={type} value={type}>{label}</option>))}
+                          </select>
+                        </label>
+                        {lockForm.type === "role" && (
+                          <label className="flex flex-col gap-1 text-gray-300">
+                            Role
+                            <select className="rounded border border-white/20 bg-gray-900 px-2 py-1 text-gray-100" value={lockForm.role}
+                              onChange={(e) => setLockForm((f) => ({ ...f, role: e.target.value }))}>
+                              {lockRoles.map((role) => (<option key={role} value={role}>{roleScope(role) === "offense" ? "Off" : "Def"} {roleDisplayName(role, catalog)}</option>))}
+                            </select>
+                          </label>
+                        )}
+                        <label className="flex flex-col gap-1 text-gray-300">
+                          {lockForm.type === "role" ? `${roleScope(lockForm.role) === "defense" ? "Defense" : "Offense"} series` : "Series"}
+                          <input type="number" min={1} className="w-16 rounded border border-white/20 bg-transparent px-2 py-1 text-gray-100" value={lockForm.count}
+                            onChange={(e) => setLockForm((f) => ({ ...f, count: Math.max(1, Math.floor(+e.target.value || 1)) }))} />
+                        </label>
+                        <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={() => addLock(lockForm)}>add lock</button>
+                      </div>
+                    </div>
+                  )}
+                  {rolesEditorId === p.id && (
+                    <div className="w-full space-y-2 border-t border-white/10 pt-2 text-xs">
+                      {[
+                        { scope: "offense", title: "Offense – allowed (none = any)", roles: restrictionRoles.offense },
+                        { scope: "defense", title: "Defense – allowed (none = any)", roles: restrictionRoles.defense },
+                        { scope: "never", title: "Never play", roles: [...restrictionRoles.offense, ...restrictionRoles.defense] },
+                      ].map(({ scope, title, roles }) => (
+                        <div key={scope}>
+                          <div className="mb-1 text-gray-300">{title}</div>
+                          <div className="flex flex-wrap gap-1">
+                            {roles.map((role) => {
+                              const selected = (p.roleRestrictions?.[scope] || []).includes(role);
+                              const selectedClass = scope === "never"
+                                ? "border-red-400/60 bg-red-500/10 text-red-200"
+                                : "border-emerald-400/60 bg-emerald-500/20 text-emerald-100";
+                              return (
+                                <button
+                                  key={role}
+                                  type="button"
+                                  aria-pressed={selected}
+                                  title={role}
+                                  onClick={() => toggleRoleRestriction(p.id, scope, role)}
+                                  className={`rounded-lg border px-2 py-1 ${selected ? selectedClass : "border-white/20 bg-white/5 text-gray-300"}`}
+                                >
+                                  {roleDisplayName(role, catalog)}
+                                </button>
+                              );
+                            })}
+                          </div>
+                        </div>
+                      ))}
+                      <button
+                        type="button"
+                        className="rounded-lg border border-white/30 bg-white/10 px-2 py-1"
+                        onClick={() => clearRoleRestrictions(p.id)}
+                      >
+                        clear restrictions
+                      </button>
+                      <div>
+                        <div className="mb-1 text-gray-300">Strength 1–5 (blank = {DEFAULT_RATING}; a position rating overrides the side)</div>
+                        {["offense", "defense"].map((side) => (
+                          <div key={side} className="mb-1 flex flex-wrap items-center gap-2">
+                            {[side, ...ratingFamilies[side].map((family) => familyKey(side, family))].map((key) => {
+                              const value = key === side ? p.ratings?.[side] : p.ratings?.families?.[key];
+                              return (
+                                <label key={key} className="flex items-center gap-1">
+                                  <span className={key === side ? "font-semibold capitalize" : "text-gray-300"}>{key === side ? side : key.split(":")[1]}</span>
+                                  <select className="rounded border border-white/20 bg-gray-900 px-1 py-0.5" value={value ?? ""}
+                                    onChange={(e) => setRating(p.id, key, e.target.value ? Number(e.target.value) : null)}>
+                                    <option value="">–</option>
+                                    {RATING_VALUES.map((n) => (<option key={n} value={n}>{n}</option>))}
+                                  </select>
+                                </label>
+                              );
+                            })}
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Reset Confirm Modal */}
+      {ui.confirmReset && (
+        <div className="fixed inset-0 z-40 flex items-end sm:items-center justify-center bg-black/60 p-0 sm:p-6" onClick={cancelReset}>
+          <div className="w-full sm:max-w-md rounded-t-2xl sm:rounded-2xl border border-white/10 bg-gray-900" onClick={(e)=>e.stopPropagation()}>
+            <div className="p-4 border-b border-white/10">
+              <h3 className="text-lg font-semibold">{ui.confirmReset === "newGame" ? "Start a new game?" : "Reset positions?"}</h3>
+            </div>
+            <div className="p-4 space-y-3 text-sm">
+              {(() => {
+                const losses = describeResetLoss(state, ui.confirmReset);
+                return losses.length ? (
+                  <ul className="list-disc space-y-1 pl-5 text-gray-200">
+                    {losses.map((line) => (<li key={line}>{line}</li>))}
+                  </ul>
+                ) : (
+                  <p className="text-gray-300">Nothing has been recorded yet.</p>
+                );
+              })()}
+              {backupFailed ? (
+                <p className="rounded-xl border border-red-400/40 bg-red-500/10 p-2 text-xs text-red-200">The backup couldn't be saved, so this can't be undone from Backups. Device storage may be full. Continue anyway?</p>
+              ) : (
+                <p className="text-xs text-gray-400">A backup is saved first; restore it from Settings → Backups.</p>
+              )}
+              <div className="grid grid-cols-2 gap-2">
+                <button type="button" className="rounded-xl border border-white/30 bg-white/10 py-2" onClick={cancelReset}>Cancel</button>
+                <button type="button" className="rounded-xl border border-red-400/60 bg-red-500/20 py-2 font-semibold text-red-100" onClick={runConfirmedReset}>
+                  {ui.confirmReset === "newGame" ? "Start New Game" : "Reset Positions"}{backupFailed ? " anyway" : ""}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Teams Modal */}
+      {showTeams && (
+        <div className="fixed inset-0 z-30 flex items-end sm:items-center justify-center bg-black/60 p-0 sm:p-6" onClick={() => setShowTeams(false)}>
+          <div className="w-full sm:max-w-md rounded-t-2xl sm:rounded-2xl border border-white/10 bg-gray-900" onClick={(e)=>e.stopPropagation()}>
+            <div className="p-4 flex items-center justify-between border-b border-white/10">
+              <h3 className="text-lg font-semibold">Teams</h3>
+              <button className="rounded-xl border border-white/30 bg-white/10 px-3 py-1 text-sm" onClick={() => setShowTeams(false)}>Close</button>
+            </div>
+            <div className="p-3 space-y-2 max-h-[70vh] overflow-auto">
+              {teams.map((t) => (
+                <div key={t.id} className="flex flex-wrap items-center justify-between gap-2 rounded-xl bg-white/10 px-3 py-2 text-sm">
+                  <button type="button" className="text-left font-medium" onClick={() => teamActions.switchTeam(t.id)}>
+                    {t.name}{t.id === team.id ? " (current)" : ""}
+                  </button>
+                  <div className="flex gap-2 text-xs">
+                    <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={() => teamActions.renameTeam(t.id)}>rename</button>
+                    <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={() => teamActions.duplicateTeam(t.id)}>duplicate</button>
+                    <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1 disabled:opacity-40" disabled={teams.length <= 1} onClick={() => teamActions.deleteTeam(t.id)}>delete</button>
+                  </div>
                 </div>
               ))}
+              <button type="button" className="w-full rounded-xl border border-white/30 bg-white/10 px-3 py-2 text-sm" onClick={teamActions.createTeam}>+ New team</button>
+              <p className="text-xs text-gray-400">Each team keeps its own roster, settings, game and season.</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Bench Rules Modal */}
+      {ui.showBenchRules && (
+        <div className="fixed inset-0 z-30 flex items-end sm:items-center justify-center bg-black/60 p-0 sm:p-6" onClick={() => setState((s)=>({...s, ui:{...s.ui, showBenchRules:false}}))}>
+          <div className="w-full sm:max-w-md rounded-t-2xl sm:rounded-2xl border border-white/10 bg-gray-900" onClick={(e)=>e.stopPropagation()}>
+            <div className="p-4 flex items-center justify-between border-b border-white/10">
+              <h3 className="text-lg font-semibold">Bench Rules</h3>
+              <button className="rounded-xl border border-white/30 bg-white/10 px-3 py-1 text-sm" onClick={() => setState((s)=>({...s, ui:{...s.ui, showBenchRules:false}}))}>Close</button>
+            </div>
+            <div className="p-3 space-y-3 max-h-[70vh] overflow-auto">
+              <p className="text-xs text-gray-300">Rules apply in the order listed below. Sit-first and must-play rules only affect the opening offense and defense series.</p>
+              {BENCH_RULE_TYPES.map(({ type, label }) => {
+                const rulesOfType = (benchRules || []).filter((rule) => rule.type === type);
+                return (
+                  <div key={type} className="space-y-2">
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm font-semibold">{label}</span>
+                      <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1 text-xs" onClick={() => addBenchRule(type)}>+ rule</button>
+                    </div>
+                    {!rulesOfType.length && <div className="text-xs text-gray-400">(no rules)</div>}
+                    {rulesOfType.map((rule, index) => (
+                      <div key={rule.id} className="space-y-2 rounded-xl bg-white/10 p-2 text-xs">
+                        <div className="flex flex-wrap gap-1">
+                          {roster.map((p) => {
+                            const selected = rule.playerIds.includes(p.id);
+                            return (
+                              <button
+                                key={p.id}
+                                type="button"
+                                aria-pressed={selected}
+                                onClick={() => toggleBenchRulePlayer(rule.id, p.id)}
+                                className={`rounded-lg border px-2 py-1 ${selected ? "border-emerald-400/60 bg-emerald-500/20 text-emerald-100" : "border-white/20 bg-white/5 text-gray-300"} ${p.active ? "" : "opacity-60"}`.trim()}
+                              >
+                                {p.name}
+                              </button>
+                            );
+                          })}
+                        </div>
+                        <div className="flex gap-2">
+                          <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1 disabled:opacity-40" disabled={index === 0} onClick={() => moveBenchRule(rule.id, -1)}>up</button>
+                          <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1 disabled:opacity-40" disabled={index === rulesOfType.length - 1} onClick={() => moveBenchRule(rule.id, 1)}>down</button>
+                          <button type="button" className="ml-auto rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={() => removeBenchRule(rule.id)}>remove</button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                );
+              })}
+              {benchRuleWarnings.length > 0 && (
+                <ul className="space-y-1 rounded-xl border border-amber-400/40 bg-amber-500/10 p-3 text-xs text-amber-100">
+                  {benchRuleWarnings.map((warning) => (<li key={warning}>⚠ {warning}</li>))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Formations Modal */}
+      {ui.showFormations && (
+        <div className="fixed inset-0 z-30 flex items-end sm:items-center justify-center bg-black/60 p-0 sm:p-6" onClick={() => setState((s)=>({...s, ui:{...s.ui, showFormations:false}}))}>
+          <div className="w-full sm:max-w-lg rounded-t-2xl sm:rounded-2xl border border-white/10 bg-gray-900" onClick={(e)=>e.stopPropagation()}>
+            <div className="p-4 flex items-center justify-between border-b border-white/10">
+              <h3 className="text-lg font-semibold">Formations</h3>
+              <button className="rounded-xl border border-white/30 bg-white/10 px-3 py-1 text-sm" onClick={() => { setFormationDraft(null); setState((s)=>({...s, ui:{...s.ui, showFormations:false}})); }}>Close</button>
+            </div>
+            <div className="p-3 space-y-3 max-h-[70vh] overflow-auto">
+              {formationDraft ? (
+                <FormationEditor key={formationDraft.id} initial={formationDraft} onSave={saveFormation} onCancel={() => setFormationDraft(null)} />
+              ) : (
+                <>
+                  <div className="flex gap-2">
+                    {["offense", "defense"].map((side) => (
+                      <button key={side} type="button" aria-pressed={formationSide === side}
+                        className={`rounded-xl border px-3 py-1 text-sm capitalize ${formationSide === side ? "border-white/60 bg-white/15" : "border-white/20 bg-white/5 text-gray-300"}`}
+                        onClick={() => setFormationSide(side)}>
+                        {side}
+                      </button>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-300">The selected formation is used for the next {formationSide} series. Only formations with one position per player on the field ({settings.teamSize}) can be used; changing the team size switches to that size's preset. Built-in formations can be copied and then edited.</p>
+                  {formationsForSide(state, formationSide).map((formation) => {
+                    const selected = activeFormationFor(state, formationSide).id === formation.id;
+                    const fits = formation.positions.length === settings.teamSize;
+                    return (
+                      <div key={formation.id} className={`space-y-2 rounded-xl p-2 text-xs ${selected ? "border border-emerald-400/60 bg-emerald-500/10" : "bg-white/10"}`}>
+                        <div className="flex items-center justify-between gap-2">
+                          <span className="text-sm font-semibold">{formation.name}{formation.builtIn && <span className="ml-2 text-xs font-normal text-gray-400">built-in</span>}</span>
+                          <span className="text-gray-300">{formation.positions.length} players</span>
+                        </div>
+                        <div className="text-gray-300">{formation.positions.map((pos) => pos.label).join(" · ")}</div>
+                        <div className="flex flex-wrap gap-2">
+                          <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1 disabled:opacity-40" disabled={selected || !fits} onClick={() => selectFormation(formationSide, formation.id)}>
+                            {selected ? "in use" : fits ? "use" : `${formation.positions.length}v${formation.positions.length} only`}
+                          </button>
+                          <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={() => duplicateFormation(formation.id)}>duplicate</button>
+                          {!formation.builtIn && (
+                            <>
+                              <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={() => setFormationDraft(formationSnapshot(formation))}>edit</button>
+                              <button type="button" className="ml-auto rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={() => deleteFormation(formation.id)}>delete</button>
+                            </>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                  {activeFormationFor(state, formationSide).positions.length !== settings.teamSize && (
+                    <div className="rounded-xl border border-amber-400/40 bg-amber-500/10 p-2 text-xs text-amber-100">
+                      ⚠ The {formationSide} formation in use has {activeFormationFor(state, formationSide).positions.length} positions but the team size is {settings.teamSize}; extra players or open slots will show on the board.
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Player Profile Modal */}
+      {profileDraft && (
+        <div className="fixed inset-0 z-40 flex items-end sm:items-center justify-center bg-black/60 p-0 sm:p-6" onClick={() => setProfileDraft(null)}>
+          <div className="w-full sm:max-w-md rounded-t-2xl sm:rounded-2xl border border-white/10 bg-gray-900" onClick={(e)=>e.stopPropagation()}>
+            <div className="p-4 flex items-center justify-between border-b border-white/10">
+              <h3 className="text-lg font-semibold">{profileDraft.id ? "Player profile" : "Add player"}</h3>
+              <button className="rounded-xl border border-white/30 bg-white/10 px-3 py-1 text-sm" onClick={() => setProfileDraft(null)}>Close</button>
+            </div>
+            <div className="p-3 max-h-[70vh] overflow-auto">
+              <ProfileEditor key={profileDraft.id || "new"} initial={profileDraft} roster={roster} families={ratingFamilies} onSave={saveProfile} onCancel={() => setProfileDraft(null)} />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Share Modal */}
+      {share && (
+        <div className="fixed inset-0 z-30 flex items-end sm:items-center justify-center bg-black/60 p-0 sm:p-6" onClick={() => setShare(null)}>
+          <div className="w-full sm:max-w-md rounded-t-2xl sm:rounded-2xl border border-white/10 bg-gray-900" onClick={(e)=>e.stopPropagation()}>
+            <div className="p-4 flex items-center justify-between border-b border-white/10">
+              <h3 className="text-lg font-semibold">Share</h3>
+              <button className="rounded-xl border border-white/30 bg-white/10 px-3 py-1 text-sm" onClick={() => setShare(null)}>Close</button>
+            </div>
+            <div className="p-3 space-y-3 max-h-[70vh] overflow-auto text-sm">
+              <p className="text-xs text-gray-300">
+                A read-only copy of the current lineup, next bench and Tally Board after {share.series} series. Everything is inside the link itself;
+                opening it changes nothing on this phone or theirs. Share again after later series.
+              </p>
+              <div className="flex justify-center"><QrCode text={share.url} /></div>
+              <input ref={shareInputRef} readOnly className="w-full rounded border border-white/20 bg-gray-950 px-2 py-1 text-xs" value={share.url} onFocus={(e) => e.target.select()} />
+              <div className="flex flex-wrap gap-2">
+                <button type="button" className="rounded-xl border border-white/30 bg-white/10 px-3 py-1" onClick={copyShareLink}>{share.copied === true ? "Copied ✓" : "Copy link"}</button>
+                <a className="rounded-xl border border-white/30 bg-white/10 px-3 py-1" href={share.url} target="_blank" rel="noreferrer">Open</a>
+              </div>
+              {share.copied === "manual" && <p className="text-xs text-amber-200">This browser wouldn't let the app copy. The link above is selected; copy it from there.</p>}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Reports Modal */}
+      {ui.showReports && (
+        <div className="fixed inset-0 z-30 flex items-end sm:items-center justify-center bg-black/60 p-0 sm:p-6" onClick={() => setState((s)=>({...s, ui:{...s.ui, showReports:false}}))}>
+          <div className="w-full sm:max-w-md rounded-t-2xl sm:rounded-2xl border border-white/10 bg-gray-900" onClick={(e)=>e.stopPropagation()}>
+            <div className="p-4 flex items-center justify-between border-b border-white/10">
+              <h3 className="text-lg font-semibold">Reports</h3>
+              <button className="rounded-xl border border-white/30 bg-white/10 px-3 py-1 text-sm" onClick={() => setState((s)=>({...s, ui:{...s.ui, showReports:false}}))}>Close</button>
+            </div>
+            <div className="p-3 space-y-3 max-h-[70vh] overflow-auto text-sm">
+              <p className="text-xs text-gray-300">Reports download as HTML pages laid out for one printed page. Open one and print it, or choose “Save as PDF”.</p>
+              <div className="space-y-2">
+                <div className="font-semibold">Lineup card</div>
+                <div className="flex flex-wrap gap-2">
+                  <button type="button" className="rounded-xl border border-white/30 bg-white/10 px-3 py-1 disabled:opacity-40" disabled={!history.length} onClick={() => downloadLineupCard("history")}>This game ({history.length} series)</button>
+                  <button type="button" className="rounded-xl border border-white/30 bg-white/10 px-3 py-1 disabled:opacity-40" disabled={!plan?.slots.length} onClick={() => downloadLineupCard("plan")}>Game plan{plan ? ` (${plan.slots.length} series)` : ""}</button>
+                </div>
+              </div>
+              <div className="space-y-2">
+                <div className="font-semibold">Player report</div>
+                <p className="text-xs text-gray-300">Series played and sat, percentage of series played, and snaps at each position this game.</p>
+                <button type="button" className="rounded-xl border border-white/30 bg-white/10 px-3 py-1" onClick={downloadPlayerReport}>Download player report</button>
+              </div>
+              <div className="space-y-2">
+                <div className="font-semibold">Development goals</div>
+                <p className="text-xs text-gray-300">Which goals were met this game, and snaps at each player's preferred positions. Set goals in a player's profile.</p>
+                {goalRows.length > 0 && (
+                  <ul className="space-y-1 text-xs">
+                    {goalRows.map((goal) => (
+                      <li key={goal.id} className="flex justify-between gap-2 rounded-lg bg-white/10 px-2 py-1">
+                        <span>{goal.name}: {goal.target}+ at {familyKeyLabel(goal.key)}</span>
+                        <span className={goal.met ? "text-emerald-200" : "text-amber-200"}>{goal.snaps}/{goal.target} {goal.met ? "✓" : "✕"}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <button type="button" className="rounded-xl border border-white/30 bg-white/10 px-3 py-1" onClick={downloadGoalsReport}>Download goals report</button>
+              </div>
+              <div className="space-y-2 border-t border-white/10 pt-3">
+                <div className="font-semibold">Spreadsheets (CSV)</div>
+                <p className="text-xs text-gray-300">Open in Excel, Numbers or Google Sheets. The roster file can be edited and loaded back from Attendance.</p>
+                <div className="flex flex-wrap gap-2">
+                  <button type="button" className="rounded-xl border border-white/30 bg-white/10 px-3 py-1 disabled:opacity-40" disabled={!roster.length} onClick={() => downloadCsv("roster")}>Roster</button>
+                  <button type="button" className="rounded-xl border border-white/30 bg-white/10 px-3 py-1 disabled:opacity-40" disabled={!roster.length} onClick={() => downloadCsv("tally")}>Tally Board</button>
+                  <button type="button" className="rounded-xl border border-white/30 bg-white/10 px-3 py-1 disabled:opacity-40" disabled={!history.length} onClick={() => downloadCsv("history")}>Series history ({history.length})</button>
+                </div>
+              </div>
             </div>
           </div>
         </div>
@@ -985,16 +5409,133 @@ export default function App() {
               <h3 className="text-lg font-semibold">Settings</h3>
               <button className="rounded-xl border border-white/30 bg-white/10 px-3 py-1 text-sm" onClick={() => setState((s)=>({...s, ui:{...s.ui, showSettings:false}}))}>Close</button>
             </div>
-            <div className="p-3 space-y-3">
+            <div className="p-3 space-y-3 max-h-[70vh] overflow-auto">
               <div className="flex items-center justify-between">
                 <span className="text-sm">Team size on field</span>
-                <input type="number" className="w-20 rounded border border-white/20 bg-transparent px-2 py-1" value={settings.teamSize}
-                  onChange={(e)=>setState((s)=>({...s, settings:{...s.settings, teamSize: Math.max(1, Math.floor(+e.target.value||7))}}))} />
+                <select className="rounded border border-white/20 bg-gray-900 px-2 py-1" value={settings.teamSize}
+                  onChange={(e)=>updateSettings("Change team size", () => ({ teamSize: Number(e.target.value) }))}>
+                  {[...new Set([...TEAM_SIZE_PRESETS, settings.teamSize])].sort((a, b) => a - b).map((size) => (
+                    <option key={size} value={size}>{size}v{size}</option>
+                  ))}
+                </select>
               </div>
               <div className="flex items-center justify-between">
                 <span className="text-sm">No repeat same role in last 1 series</span>
                 <input type="checkbox" className="h-5 w-5" checked={!!settings.noRepeatWindow}
-                  onChange={()=>setState((s)=>({...s, settings:{...s.settings, noRepeatWindow: s.settings.noRepeatWindow ? 0 : 1}}))} />
+                  onChange={()=>updateSettings("Toggle no-repeat", (current) => ({ noRepeatWindow: current.noRepeatWindow ? 0 : 1 }))} />
+              </div>
+              <div className="flex items-center justify-between">
+                <span className="text-sm">Captains per game</span>
+                <input type="number" min={0} className="w-20 rounded border border-white/20 bg-transparent px-2 py-1" value={settings.captainCount}
+                  onChange={(e)=>updateSettings("Change captain count", () => ({ captainCount: Math.max(0, Math.floor(+e.target.value||0)) }))} />
+              </div>
+              <div className="flex items-center justify-between">
+                <span className="text-sm">
+                  Use season totals as a tiebreaker
+                  <span className="block text-xs text-gray-400">Breaks position ties; for the bench, only sets the starting order (fewest season sits sit first).</span>
+                </span>
+                <input type="checkbox" className="h-5 w-5" checked={!!settings.seasonTiebreak}
+                  onChange={()=>updateSettings("Toggle season tiebreak", (current) => ({ seasonTiebreak: !current.seasonTiebreak }))} />
+              </div>
+              <div className="flex items-center justify-between">
+                <span className="text-sm">Balance on-field strength (ratings in Attendance → roles)</span>
+                <input type="checkbox" className="h-5 w-5" checked={!!settings.strengthBalance}
+                  onChange={()=>updateSettings("Toggle strength balance", (current) => ({ strengthBalance: !current.strengthBalance }))} />
+              </div>
+              {settings.strengthBalance && (
+                <div className="flex items-center justify-between">
+                  <span className="text-sm">Allowed gap from team average</span>
+                  <input type="number" min={0} max={4} step={0.1} className="w-20 rounded border border-white/20 bg-transparent px-2 py-1" value={settings.strengthRange ?? 0.5}
+                    onChange={(e)=>updateSettings("Change strength gap", () => ({ strengthRange: Math.min(4, Math.max(0, +e.target.value || 0)) }))} />
+                </div>
+              )}
+              <div className="flex items-center justify-between">
+                <span className="text-sm">Minimum play, % of series (0 = off)</span>
+                <input type="number" min={0} max={100} step={5} className="w-20 rounded border border-white/20 bg-transparent px-2 py-1" value={settings.minPlayPct ?? 0}
+                  onChange={(e)=>updateSettings("Change minimum play", () => ({ minPlayPct: Math.min(100, Math.max(0, Math.floor(+e.target.value || 0))) }))} />
+              </div>
+              <div className="flex items-center justify-between gap-3">
+                <span className="text-sm">Bench queue enforces the minimum and avoids back-to-back sits while someone hasn't sat</span>
+                <input type="checkbox" className="h-5 w-5 shrink-0" checked={!!settings.minPlayGuard}
+                  onChange={()=>updateSettings("Toggle minimum play guard", (current) => ({ minPlayGuard: !current.minPlayGuard }))} />
+              </div>
+              <div className="flex items-center justify-between gap-3">
+                <span className="text-sm">Periods</span>
+                <select className="rounded border border-white/20 bg-gray-900 px-2 py-1 text-sm" value={settings.periodFormat || "halves"}
+                  onChange={(e)=>updateSettings("Change periods", () => ({ periodFormat: e.target.value }))}>
+                  <option value="halves">Halves</option>
+                  <option value="quarters">Quarters</option>
+                </select>
+              </div>
+              <div className="flex items-center justify-between">
+                <span className="text-sm">Game clock, minutes per period (0 = off)</span>
+                <input type="number" min={0} className="w-20 rounded border border-white/20 bg-transparent px-2 py-1" value={settings.clockMinutes || 0}
+                  onChange={(e)=>changeClockMinutes(Math.max(0, Math.floor(+e.target.value || 0)))} />
+              </div>
+              <div className="flex items-center justify-between gap-3">
+                <span className="text-sm">Position assignment</span>
+                <select className="rounded border border-white/20 bg-gray-900 px-2 py-1 text-sm" value={settings.assignment}
+                  onChange={(e)=>updateSettings("Change assignment", () => ({ assignment: e.target.value }))}>
+                  {ASSIGNMENT_STRATEGIES.map(({ value, label }) => (<option key={value} value={value}>{label}</option>))}
+                </select>
+              </div>
+              <div className="space-y-2 border-t border-white/10 pt-3">
+                <div className="text-sm font-semibold">Backup</div>
+                <div className="flex flex-wrap gap-2 text-sm">
+                  <button type="button" className="rounded-xl border border-white/30 bg-white/10 px-3 py-1" onClick={exportState}>Export JSON</button>
+                  <label className="cursor-pointer rounded-xl border border-white/30 bg-white/10 px-3 py-1">
+                    Import JSON
+                    <input type="file" accept="application/json,.json" className="hidden" onChange={importState} />
+                  </label>
+                </div>
+                {importPreview && (
+                  <div className="space-y-2 rounded-xl bg-white/10 p-3 text-xs">
+                    <div className="font-semibold">{importPreview.fileName}</div>
+                    {importPreview.errors.length > 0 ? (
+                      <ul className="space-y-1 text-red-200">
+                        {importPreview.errors.map((error) => (<li key={error}>✕ {error}</li>))}
+                      </ul>
+                    ) : (
+                      <>
+                        <ul className="space-y-1 text-gray-200">
+                          <li>Players: {importPreview.diff.rosterCount[0]} → {importPreview.diff.rosterCount[1]}</li>
+                          {importPreview.diff.added.length > 0 && <li className="text-emerald-200">+ {importPreview.diff.added.join(", ")}</li>}
+                          {importPreview.diff.removed.length > 0 && <li className="text-red-200">− {importPreview.diff.removed.join(", ")}</li>}
+                          <li>Game {importPreview.diff.gameNumber[0]} → {importPreview.diff.gameNumber[1]}, series played {importPreview.diff.series[0]} → {importPreview.diff.series[1]}</li>
+                          <li>Season games: {importPreview.diff.seasonGames[0]} → {importPreview.diff.seasonGames[1]} ({importPreview.diff.newGames} new)</li>
+                          {importPreview.diff.seasonMerge === "add" && <li>Merge adds the file's season totals and captain counts to players on both rosters.</li>}
+                          {importPreview.diff.seasonMerge === "replace" && <li>Merge takes season totals and captain counts from the file, which already includes this device's games.</li>}
+                          {importPreview.diff.seasonMerge === "overlap" && <li className="text-amber-200">Merge keeps this device's season totals and captain counts for players on both rosters: each side has games the other lacks, so they can't be combined.</li>}
+                          {importPreview.fileNumberConflicts.length > 0 && <li className="text-amber-200">Jersey numbers repeated in the file, cleared: {importPreview.fileNumberConflicts.join("; ")}</li>}
+                          {importPreview.diff.numberConflicts.length > 0 && <li className="text-amber-200">Merge clears numbers already worn here: {importPreview.diff.numberConflicts.join("; ")}</li>}
+                          {importPreview.diff.settingsChanged.length > 0 && <li>Settings changed: {importPreview.diff.settingsChanged.join(", ")}</li>}
+                        </ul>
+                        <p className="text-gray-400">Replace swaps in the whole file. Merge only adds new players, past games and their season totals; the current game and settings stay.</p>
+                        <div className="flex flex-wrap gap-2">
+                          <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={() => applyImport("replace")}>Replace</button>
+                          <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={() => applyImport("merge")}>Merge roster + season</button>
+                        </div>
+                      </>
+                    )}
+                    <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={() => setImportPreview(null)}>Cancel</button>
+                  </div>
+                )}
+              </div>
+              <div className="space-y-2 border-t border-white/10 pt-3">
+                <div className="text-sm font-semibold">Backups</div>
+                <p className="text-xs text-gray-400">Saved automatically before Start New Game and Reset Positions (last {BACKUP_LIMIT}).</p>
+                {!backups.length && <div className="text-xs text-gray-400">(none yet)</div>}
+                {backups.map((backup) => (
+                  <div key={backup.id} className="flex items-center justify-between gap-2 rounded-xl bg-white/10 px-3 py-2 text-xs">
+                    <div>
+                      <div className="font-medium">{backup.label}</div>
+                      <div className="text-gray-400">
+                        {new Date(backup.savedAt).toLocaleString()} • Game {backup.gameNumber} • {backup.seriesPlayed} series
+                      </div>
+                    </div>
+                    <button type="button" className="rounded-lg border border-white/30 bg-white/10 px-2 py-1" onClick={() => restoreBackup(backup.id)}>Restore</button>
+                  </div>
+                ))}
               </div>
             </div>
           </div>